@@ -0,0 +1,588 @@
+// @ts-nocheck
+// Payload decoders shared by the UI (index.mjs) and the ingest worker, via ingest.mjs
+// Must not use the DOM or uibuilder so that it can run in a Web Worker.
+// Payloads arrive as strings or as binary data - a Node.js Buffer serialised as `{type: 'Buffer', data: [...]}`
+// by uibuilder, or a Uint8Array from the direct-to-broker transport. Decoders turn them into the value shown.
+
+/** Payload decoders that can be chosen, in the order they are offered
+ * `auto` uses the message's MQTT v5 content type if it has one. Otherwise it parses JSON text and shows binary
+ * data that is not UTF-8 text as hex. CBOR and MessagePack can't be told apart from other binary data, so they
+ * need a content type or must be chosen.
+ * @type {string[]}
+ */
+export const PAYLOAD_DECODERS = ['auto', 'json', 'text', 'hex', 'base64', 'cbor', 'msgpack', 'image', 'raw']
+
+/** Decoders for content types (MIME types without parameters), other than `text/*` and `…+json`
+ * Content types not listed here are shown as hex.
+ * @type {{[contentType: string]: string}}
+ */
+const CONTENT_TYPE_DECODERS = {
+    'application/json': 'json',
+    'application/cbor': 'cbor',
+    'application/msgpack': 'msgpack',
+    'application/x-msgpack': 'msgpack',
+    'application/vnd.msgpack': 'msgpack',
+    'image/png': 'image',
+    'image/jpeg': 'image',
+}
+
+/** Leading bytes of the image formats that can be previewed
+ * @type {{[contentType: string]: number[]}}
+ */
+const IMAGE_SIGNATURES = {
+    'image/png': [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    'image/jpeg': [0xff, 0xd8, 0xff],
+}
+
+/** Deepest nesting of arrays and maps decoded from CBOR or MessagePack
+ * @type {number}
+ */
+const MAX_DECODE_DEPTH = 100
+
+/** Decodes UTF-8, replacing invalid sequences
+ * @type {TextDecoder}
+ */
+const utf8Decoder = new TextDecoder()
+
+/** Decodes UTF-8, throwing on invalid sequences - used to find out whether binary data is text
+ * @type {TextDecoder}
+ */
+const strictUtf8Decoder = new TextDecoder('utf-8', { fatal: true, })
+
+/** Gets the bytes of binary data
+ * @param {unknown} data - A serialised Node.js Buffer, Uint8Array or ArrayBuffer
+ * @returns {Uint8Array|null} The bytes, null if the data is not binary
+ */
+export function toBytes(data) {
+    // Node.js Buffer serialised as {type: 'Buffer', data: [...]}
+    if (data && typeof data === 'object' && data.type === 'Buffer' && Array.isArray(data.data)) {
+        return new Uint8Array(data.data)
+    }
+    if (data instanceof Uint8Array) return data
+    if (data instanceof ArrayBuffer) return new Uint8Array(data)
+    return null
+}
+
+/** Gets the bytes of a payload, text is UTF-8 encoded
+ * @param {unknown} payload - The payload
+ * @returns {Uint8Array} The bytes
+ */
+export function toPayloadBytes(payload) {
+    return toBytes(payload) ?? new TextEncoder().encode(String(payload))
+}
+
+/** Formats bytes as hex, e.g. `48 65 6c 6c 6f`
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} Space separated hex bytes
+ */
+export function formatHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ')
+}
+
+/** Formats bytes as a hex dump - offset, 16 hex bytes and the printable ASCII characters per line
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The hex dump
+ */
+export function formatHexDump(bytes) {
+    const lines = []
+
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+        const row = bytes.subarray(offset, offset + 16)
+        const hex = formatHex(row.subarray(0, 8)) + '  ' + formatHex(row.subarray(8))
+        const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('')
+        lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(48)}  |${ascii}|`)
+    }
+
+    return lines.join('\n')
+}
+
+/** Encodes bytes as base64
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} Base64 text
+ */
+export function bytesToBase64(bytes) {
+    let binary = ''
+    // In chunks, spreading a large payload into fromCharCode() would overflow the call stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+/** Decodes base64 text, ignoring any whitespace
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} The bytes
+ * @throws {SyntaxError} If the text is not valid base64
+ */
+export function base64ToBytes(text) {
+    const compact = text.replace(/\s+/g, '')
+    if (!/^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/.test(compact)) {
+        throw new SyntaxError('Not valid base64')
+    }
+    return Uint8Array.from(atob(compact), char => char.charCodeAt(0))
+}
+
+/** Converts a 64 bit integer to a number, or to a string if it is too large to be exact
+ * @param {bigint} value - The integer
+ * @returns {number|string} The integer
+ */
+function toSafeInteger(value) {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+        ? Number(value)
+        : value.toString()
+}
+
+/** Decodes an IEEE 754 half precision float, which DataView can't read
+ * @param {number} half - The 16 bits of the float
+ * @returns {number} The value
+ */
+function decodeFloat16(half) {
+    const sign = half & 0x8000 ? -1 : 1
+    const exponent = (half >> 10) & 0x1f
+    const fraction = half & 0x3ff
+
+    if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024)
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity
+    return sign * 2 ** (exponent - 15) * (1 + fraction / 1024)
+}
+
+/** Sets an entry of a decoded map
+ * Keys come from the payload, so `__proto__` must become an ordinary property rather than change the prototype.
+ * @param {object} map - The map being decoded
+ * @param {unknown} key - The entry's key, non-string keys are converted to text
+ * @param {unknown} value - The entry's value
+ */
+function setMapEntry(map, key, value) {
+    const name = typeof key === 'string' ? key : (JSON.stringify(key) ?? String(key))
+    Object.defineProperty(map, name, { value, enumerable: true, writable: true, configurable: true, })
+}
+
+/** Creates a reader that takes values from binary data in order, for the CBOR and MessagePack decoders
+ * @param {Uint8Array} bytes - The data
+ * @returns {object} The reader
+ * @throws {RangeError} From the read functions, if the data ends too soon or a length is invalid
+ */
+function createReader(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    let offset = 0
+
+    /** Moves past some bytes
+     * @param {number|string} length - Number of bytes, a string if it was too large to be exact
+     * @returns {number} Offset of the first byte
+     */
+    const take = (length) => {
+        if (!Number.isSafeInteger(length) || length < 0) throw new RangeError(`Invalid length ${length}`)
+        if (offset + length > bytes.length) throw new RangeError('Unexpected end of data')
+        offset += length
+        return offset - length
+    }
+
+    return {
+        remaining: () => bytes.length - offset,
+        uint8: () => view.getUint8(take(1)),
+        uint16: () => view.getUint16(take(2)),
+        uint32: () => view.getUint32(take(4)),
+        uint64: () => toSafeInteger(view.getBigUint64(take(8))),
+        int8: () => view.getInt8(take(1)),
+        int16: () => view.getInt16(take(2)),
+        int32: () => view.getInt32(take(4)),
+        int64: () => toSafeInteger(view.getBigInt64(take(8))),
+        float16: () => decodeFloat16(view.getUint16(take(2))),
+        float32: () => view.getFloat32(take(4)),
+        float64: () => view.getFloat64(take(8)),
+        bytes: (length) => {
+            const start = take(length)
+            return bytes.subarray(start, start + length)
+        },
+        text: (length) => {
+            const start = take(length)
+            return utf8Decoder.decode(bytes.subarray(start, start + length))
+        },
+    }
+}
+
+/** Checks that an array or map length can be read from the data left
+ * Every item takes at least a byte, so this stops a corrupt length from allocating a huge array.
+ * @param {object} reader - The reader
+ * @param {number|string} length - The number of items
+ * @param {number} depth - Nesting depth of the array or map
+ */
+function checkItemCount(reader, length, depth) {
+    if (typeof length !== 'number' || length > reader.remaining()) throw new RangeError('Unexpected end of data')
+    if (depth > MAX_DECODE_DEPTH) throw new RangeError('Nested too deeply')
+}
+
+/** Marks the end of an indefinite length CBOR item
+ * @type {symbol}
+ */
+const CBOR_BREAK = Symbol('break')
+
+/** Reads the length or value that follows the initial byte of a CBOR item
+ * @param {object} reader - The reader
+ * @param {number} info - The initial byte's additional information (low 5 bits)
+ * @returns {number|string} The length or value, as a string if it is too large to be exact
+ */
+function readCborArgument(reader, info) {
+    if (info < 24) return info
+    if (info === 24) return reader.uint8()
+    if (info === 25) return reader.uint16()
+    if (info === 26) return reader.uint32()
+    if (info === 27) return reader.uint64()
+    throw new RangeError(`Invalid additional information ${info}`)
+}
+
+/** Reads the chunks of an indefinite length CBOR byte or text string
+ * @param {object} reader - The reader
+ * @param {number} depth - Nesting depth of the string
+ * @param {string} separator - Text between the chunks
+ * @returns {string} The chunks joined together
+ */
+function readCborChunks(reader, depth, separator) {
+    const chunks = []
+    for (let chunk = readCborItem(reader, depth + 1); chunk !== CBOR_BREAK; chunk = readCborItem(reader, depth + 1)) {
+        if (typeof chunk !== 'string') throw new RangeError('Invalid chunk in an indefinite length string')
+        chunks.push(chunk)
+    }
+    return chunks.join(separator)
+}
+
+/** Reads a CBOR item (RFC 8949)
+ * Byte strings are shown as hex. Tags are dropped, keeping the tagged value.
+ * @param {object} reader - The reader
+ * @param {number} [depth] - Nesting depth of the item
+ * @returns {unknown} The value, `CBOR_BREAK` for the end of an indefinite length item
+ */
+function readCborItem(reader, depth = 0) {
+    const initial = reader.uint8()
+    const major = initial >> 5
+    const info = initial & 0x1f
+    const indefinite = info === 31
+
+    switch (major) {
+        case 0: {
+            return readCborArgument(reader, info)
+        }
+
+        case 1: {
+            const value = readCborArgument(reader, info)
+            return toSafeInteger(-1n - BigInt(value))
+        }
+
+        case 2: {
+            return indefinite ? readCborChunks(reader, depth, ' ') : formatHex(reader.bytes(readCborArgument(reader, info)))
+        }
+
+        case 3: {
+            return indefinite ? readCborChunks(reader, depth, '') : reader.text(readCborArgument(reader, info))
+        }
+
+        case 4: {
+            const items = []
+            if (indefinite) {
+                for (let item = readCborItem(reader, depth + 1); item !== CBOR_BREAK; item = readCborItem(reader, depth + 1)) {
+                    items.push(item)
+                }
+                return items
+            }
+
+            const length = readCborArgument(reader, info)
+            checkItemCount(reader, length, depth)
+            for (let i = 0; i < length; i++) items.push(readCborItem(reader, depth + 1))
+            return items
+        }
+
+        case 5: {
+            const map = {}
+            if (indefinite) {
+                for (let key = readCborItem(reader, depth + 1); key !== CBOR_BREAK; key = readCborItem(reader, depth + 1)) {
+                    setMapEntry(map, key, readCborItem(reader, depth + 1))
+                }
+                return map
+            }
+
+            const length = readCborArgument(reader, info)
+            checkItemCount(reader, length, depth)
+            for (let i = 0; i < length; i++) setMapEntry(map, readCborItem(reader, depth + 1), readCborItem(reader, depth + 1))
+            return map
+        }
+
+        case 6: {
+            readCborArgument(reader, info)
+            return readCborItem(reader, depth + 1)
+        }
+
+        default: {
+            // Major type 7 - simple values and floats
+            switch (info) {
+                case 20: return false
+                case 21: return true
+                case 22:
+                case 23: return null
+                case 24: return `simple(${reader.uint8()})`
+                case 25: return reader.float16()
+                case 26: return reader.float32()
+                case 27: return reader.float64()
+                case 31: return CBOR_BREAK
+                default: {
+                    if (info < 20) return `simple(${info})`
+                    throw new RangeError(`Invalid additional information ${info}`)
+                }
+            }
+        }
+    }
+}
+
+/** Decodes CBOR (RFC 8949) data
+ * @param {Uint8Array} bytes - The data
+ * @returns {unknown} The decoded value
+ * @throws {RangeError} If the data is not a single valid CBOR item
+ */
+export function decodeCbor(bytes) {
+    const reader = createReader(bytes)
+    const value = readCborItem(reader)
+    if (value === CBOR_BREAK) throw new RangeError('Unexpected break')
+    if (reader.remaining() > 0) throw new RangeError('Unexpected data after the value')
+    return value
+}
+
+/** Reads a MessagePack extension value
+ * Timestamps (type -1) are shown as ISO dates, anything else as its type and hex data.
+ * @param {object} reader - The reader
+ * @param {number} length - Length of the extension data
+ * @returns {unknown} The value
+ */
+function readMessagePackExt(reader, length) {
+    const extType = reader.int8()
+    const data = reader.bytes(length)
+
+    if (extType === -1 && [4, 8, 12].includes(length)) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+        let seconds
+        let nanoseconds = 0
+        if (length === 4) {
+            seconds = view.getUint32(0)
+        } else if (length === 8) {
+            nanoseconds = view.getUint32(0) >>> 2
+            seconds = (view.getUint32(0) & 0x3) * 2 ** 32 + view.getUint32(4)
+        } else {
+            nanoseconds = view.getUint32(0)
+            seconds = Number(view.getBigInt64(4))
+        }
+
+        const date = new Date(seconds * 1000 + nanoseconds / 1e6)
+        if (!Number.isNaN(date.getTime())) return date.toISOString()
+    }
+
+    return { extType, data: formatHex(data), }
+}
+
+/** Reads a MessagePack array
+ * @param {object} reader - The reader
+ * @param {number} length - Number of items
+ * @param {number} depth - Nesting depth of the array
+ * @returns {unknown[]} The array
+ */
+function readMessagePackArray(reader, length, depth) {
+    checkItemCount(reader, length, depth)
+    const items = []
+    for (let i = 0; i < length; i++) items.push(readMessagePackItem(reader, depth + 1))
+    return items
+}
+
+/** Reads a MessagePack map
+ * @param {object} reader - The reader
+ * @param {number} length - Number of entries
+ * @param {number} depth - Nesting depth of the map
+ * @returns {object} The map
+ */
+function readMessagePackMap(reader, length, depth) {
+    checkItemCount(reader, length, depth)
+    const map = {}
+    for (let i = 0; i < length; i++) setMapEntry(map, readMessagePackItem(reader, depth + 1), readMessagePackItem(reader, depth + 1))
+    return map
+}
+
+/** Reads a MessagePack item
+ * Binary data is shown as hex.
+ * @param {object} reader - The reader
+ * @param {number} [depth] - Nesting depth of the item
+ * @returns {unknown} The value
+ */
+function readMessagePackItem(reader, depth = 0) {
+    const type = reader.uint8()
+
+    if (type <= 0x7f) return type
+    if (type >= 0xe0) return type - 0x100
+    if (type <= 0x8f) return readMessagePackMap(reader, type & 0x0f, depth)
+    if (type <= 0x9f) return readMessagePackArray(reader, type & 0x0f, depth)
+    if (type <= 0xbf) return reader.text(type & 0x1f)
+
+    switch (type) {
+        case 0xc0: return null
+        case 0xc2: return false
+        case 0xc3: return true
+        case 0xc4: return formatHex(reader.bytes(reader.uint8()))
+        case 0xc5: return formatHex(reader.bytes(reader.uint16()))
+        case 0xc6: return formatHex(reader.bytes(reader.uint32()))
+        case 0xc7: return readMessagePackExt(reader, reader.uint8())
+        case 0xc8: return readMessagePackExt(reader, reader.uint16())
+        case 0xc9: return readMessagePackExt(reader, reader.uint32())
+        case 0xca: return reader.float32()
+        case 0xcb: return reader.float64()
+        case 0xcc: return reader.uint8()
+        case 0xcd: return reader.uint16()
+        case 0xce: return reader.uint32()
+        case 0xcf: return reader.uint64()
+        case 0xd0: return reader.int8()
+        case 0xd1: return reader.int16()
+        case 0xd2: return reader.int32()
+        case 0xd3: return reader.int64()
+        case 0xd4: return readMessagePackExt(reader, 1)
+        case 0xd5: return readMessagePackExt(reader, 2)
+        case 0xd6: return readMessagePackExt(reader, 4)
+        case 0xd7: return readMessagePackExt(reader, 8)
+        case 0xd8: return readMessagePackExt(reader, 16)
+        case 0xd9: return reader.text(reader.uint8())
+        case 0xda: return reader.text(reader.uint16())
+        case 0xdb: return reader.text(reader.uint32())
+        case 0xdc: return readMessagePackArray(reader, reader.uint16(), depth)
+        case 0xdd: return readMessagePackArray(reader, reader.uint32(), depth)
+        case 0xde: return readMessagePackMap(reader, reader.uint16(), depth)
+        case 0xdf: return readMessagePackMap(reader, reader.uint32(), depth)
+        default: throw new RangeError(`Invalid type 0x${type.toString(16)}`)
+    }
+}
+
+/** Decodes MessagePack data
+ * @param {Uint8Array} bytes - The data
+ * @returns {unknown} The decoded value
+ * @throws {RangeError} If the data is not a single valid MessagePack item
+ */
+export function decodeMessagePack(bytes) {
+    const reader = createReader(bytes)
+    const value = readMessagePackItem(reader)
+    if (reader.remaining() > 0) throw new RangeError('Unexpected data after the value')
+    return value
+}
+
+/** Gets the decoder for a content type
+ * @param {string} contentType - MQTT v5 content type, e.g. `application/json; charset=utf-8`
+ * @returns {string} One of `PAYLOAD_DECODERS`, `hex` for content types without a decoder
+ */
+export function getContentTypeDecoder(contentType) {
+    const mediaType = String(contentType).split(';')[0]
+        .trim()
+        .toLowerCase()
+    if (mediaType.startsWith('text/')) return 'text'
+    if (mediaType.endsWith('+json')) return 'json'
+    return CONTENT_TYPE_DECODERS[mediaType] ?? 'hex'
+}
+
+/** Works out the type of an image from its leading bytes
+ * @param {Uint8Array} bytes - The image data
+ * @returns {string|null} The image's content type, null if it is not a PNG or JPEG image
+ */
+export function detectImageType(bytes) {
+    for (const [contentType, signature] of Object.entries(IMAGE_SIGNATURES)) {
+        if (signature.every((byte, i) => bytes[i] === byte)) return contentType
+    }
+    return null
+}
+
+/** Works out how to show a payload - JSON text is parsed, binary data that is not UTF-8 text is shown as hex
+ * @param {unknown} payload - The payload as received
+ * @param {Uint8Array|null} bytes - The payload's bytes if it is binary
+ * @returns {{value: unknown, decoder: string}} The decoded value and the decoder that produced it
+ */
+function autoDecode(payload, bytes) {
+    let text = payload
+    if (bytes) {
+        try {
+            text = strictUtf8Decoder.decode(bytes)
+        } catch {
+            return { value: formatHex(bytes), decoder: 'hex', }
+        }
+    }
+
+    try {
+        return { value: JSON.parse(text), decoder: 'json', }
+    } catch {
+        return { value: text, decoder: 'text', }
+    }
+}
+
+/** Decodes a payload for display
+ * Payloads that Node-RED has already turned into a value (e.g. with a JSON node) are kept as they are.
+ * If the chosen decoder can't decode the payload, it is auto-detected instead and the problem is returned.
+ * @param {unknown} payload - The payload as received
+ * @param {string} [decoder] - One of `PAYLOAD_DECODERS`
+ * @param {string} [contentType] - The payload's content type, used to pick the decoder for `auto`
+ * @returns {{value: unknown, decoder: string, error?: string}} The decoded value, the decoder that produced it
+ *   ('json' for parsed JSON text or values) and why the chosen decoder could not be used
+ */
+export function decodePayload(payload, decoder = 'auto', contentType = '') {
+    const bytes = toBytes(payload)
+    if (!bytes && typeof payload !== 'string') return { value: payload, decoder: 'json', }
+
+    if (decoder === 'auto' && contentType) decoder = getContentTypeDecoder(contentType)
+
+    switch (decoder) {
+        case 'json': {
+            try {
+                return { value: JSON.parse(bytes ? utf8Decoder.decode(bytes) : payload), decoder, }
+            } catch (err) {
+                return { ...autoDecode(payload, bytes), error: `Not valid JSON: ${err.message}`, }
+            }
+        }
+
+        case 'image': {
+            // The image itself is shown in the details panel, the value is used for previews and exports
+            const imageType = bytes && detectImageType(bytes)
+            if (!imageType) return { ...autoDecode(payload, bytes), error: 'Not a PNG or JPEG image', }
+            return { value: `${imageType.slice(6).toUpperCase()} image, ${bytes.length} bytes`, decoder, }
+        }
+
+        case 'text': {
+            return { value: bytes ? utf8Decoder.decode(bytes) : payload, decoder, }
+        }
+
+        case 'hex': {
+            return { value: formatHex(bytes ?? toPayloadBytes(payload)), decoder, }
+        }
+
+        case 'base64': {
+            // Base64 text is decoded and the bytes it holds are shown as text, or as hex if they are not UTF-8
+            let decoded
+            try {
+                decoded = base64ToBytes(bytes ? strictUtf8Decoder.decode(bytes) : payload)
+            } catch {
+                return { ...autoDecode(payload, bytes), error: 'Not valid base64', }
+            }
+            // Control characters other than whitespace mean binary data that happens to be valid UTF-8
+            const binary = decoded.some(byte => (byte < 0x20 && (byte < 0x09 || byte > 0x0d)) || byte === 0x7f)
+            try {
+                if (!binary) return { value: strictUtf8Decoder.decode(decoded), decoder, }
+            } catch { /* not UTF-8 text */ }
+            return { value: formatHex(decoded), decoder, }
+        }
+
+        case 'raw': {
+            return { value: Array.from(bytes ?? toPayloadBytes(payload)), decoder, }
+        }
+
+        case 'cbor':
+        case 'msgpack': {
+            const data = bytes ?? toPayloadBytes(payload)
+            try {
+                return { value: decoder === 'cbor' ? decodeCbor(data) : decodeMessagePack(data), decoder, }
+            } catch (err) {
+                const name = decoder === 'cbor' ? 'CBOR' : 'MessagePack'
+                return { ...autoDecode(payload, bytes), error: `Not valid ${name}: ${err.message}`, }
+            }
+        }
+
+        default: {
+            return autoDecode(payload, bytes)
+        }
+    }
+}
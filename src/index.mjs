@@ -4,6 +4,13 @@
 
 // @ts-ignore
 import uibuilder from '../uibuilder/uibuilder.esm.min.js'
+import { decodeStoredMessage, getMessageRate, mqttTopicMatches, resolveTopicSettings, toStoredMessage } from './ingest.mjs'
+import {
+    clearTopicHistory, clearTopicStore, findSortedTopicName, getOrCreateTopicNode, getSortedTopicNames, getTopicNode,
+    loadTopicStore, removeTopic, stats, storeTopicMessage, topicNameCollator, topicStore, trimTopicHistory,
+    updateSubtreeStats, walkTopicStore
+} from './topic-store.mjs'
+import { PAYLOAD_DECODERS, base64ToBytes, bytesToBase64, detectImageType, formatHexDump, toBytes, toPayloadBytes } from './decoders.mjs'
 
 // #region --- DOM Element References ---
 
@@ -11,29 +18,294 @@ import uibuilder from '../uibuilder/uibuilder.esm.min.js'
 const elTopics = document.getElementById('topics')
 /** @type {HTMLElement} Reference to the topic tree container */
 const elTopicTree = document.getElementById('topicTree')
+/** @type {HTMLElement} Reference to the container of the rendered topic tree rows */
+const elTopicRows = document.getElementById('topicRows')
+/** @type {HTMLElement} Reference to the live region announcing changes to the selected topic's value */
+const elTopicAnnouncer = document.getElementById('topicAnnouncer')
 /** @type {HTMLElement} Reference to the details content area */
 const elDetailContent = document.getElementById('detailContent')
 /** @type {HTMLElement} Reference to the stats display */
 const elStats = document.getElementById('stats')
+/** @type {HTMLInputElement} Reference to the topic filter input */
+const elTopicSearch = document.getElementById('topicSearch')
+/** @type {HTMLSelectElement} Reference to the topic filter mode selector */
+const elTopicSearchMode = document.getElementById('topicSearchMode')
+/** @type {HTMLSelectElement} Reference to the "changed within" topic filter selector */
+const elTopicChangedWithin = document.getElementById('topicChangedWithin')
+/** @type {HTMLInputElement} Reference to the retained only topic filter checkbox */
+const elTopicRetainedOnly = document.getElementById('topicRetainedOnly')
+/** @type {HTMLElement} Reference to the topic filter status display */
+const elTopicSearchStatus = document.getElementById('topicSearchStatus')
+/** @type {HTMLButtonElement} Reference to the clear all button */
+const elClearAll = document.getElementById('clearAllBtn')
+/** @type {HTMLInputElement} Reference to the export topic filter input */
+const elExportFilter = document.getElementById('exportFilter')
+/** @type {HTMLSelectElement} Reference to the export format selector */
+const elExportFormat = document.getElementById('exportFormat')
+/** @type {HTMLButtonElement} Reference to the export button */
+const elExportBtn = document.getElementById('exportBtn')
+/** @type {HTMLInputElement} Reference to the (hidden) capture file input */
+const elImportFile = document.getElementById('importFile')
+/** @type {HTMLButtonElement} Reference to the import button */
+const elImportBtn = document.getElementById('importBtn')
+/** @type {HTMLSelectElement} Reference to the replay speed selector */
+const elReplaySpeed = document.getElementById('replaySpeed')
+/** @type {HTMLButtonElement} Reference to the replay play/pause button */
+const elReplayPlayBtn = document.getElementById('replayPlayBtn')
+/** @type {HTMLButtonElement} Reference to the replay step button */
+const elReplayStepBtn = document.getElementById('replayStepBtn')
+/** @type {HTMLButtonElement} Reference to the replay stop button */
+const elReplayStopBtn = document.getElementById('replayStopBtn')
+/** @type {HTMLElement} Reference to the replay status display */
+const elReplayStatus = document.getElementById('replayStatus')
+/** @type {HTMLElement} Reference to the connection status display */
+const elConnectionStatus = document.getElementById('connectionStatus')
+/** @type {HTMLSelectElement} Reference to the broker profile selector */
+const elProfileSelect = document.getElementById('profileSelect')
+/** @type {HTMLButtonElement} Reference to the new broker profile button */
+const elProfileNewBtn = document.getElementById('profileNewBtn')
+/** @type {HTMLButtonElement} Reference to the delete broker profile button */
+const elProfileDeleteBtn = document.getElementById('profileDeleteBtn')
+/** @type {HTMLButtonElement} Reference to the save broker profile button */
+const elProfileSaveBtn = document.getElementById('profileSaveBtn')
+/** @type {HTMLButtonElement} Reference to the connect button */
+const elConnectBtn = document.getElementById('connectBtn')
+/** @type {HTMLElement} Reference to the subscription count display */
+const elSubscriptionCount = document.getElementById('subscriptionCount')
+/** @type {HTMLUListElement} Reference to the list of active subscriptions */
+const elSubscriptionList = document.getElementById('subscriptionList')
+/** @type {HTMLInputElement} Reference to the new subscription topic filter input */
+const elSubscribeTopic = document.getElementById('subscribeTopic')
+/** @type {HTMLSelectElement} Reference to the new subscription QoS selector */
+const elSubscribeQos = document.getElementById('subscribeQos')
+/** @type {HTMLButtonElement} Reference to the subscribe button */
+const elSubscribeBtn = document.getElementById('subscribeBtn')
+/** @type {HTMLElement} Reference to the watch list count display */
+const elWatchCount = document.getElementById('watchCount')
+/** @type {HTMLUListElement} Reference to the watch list of pinned topics */
+const elWatchList = document.getElementById('watchList')
+/** @type {HTMLInputElement} Reference to the topic (filter) to pin input */
+const elWatchTopic = document.getElementById('watchTopic')
+/** @type {HTMLButtonElement} Reference to the pin button */
+const elWatchAddBtn = document.getElementById('watchAddBtn')
+/** @type {HTMLInputElement} Reference to the prune topics on unsubscribe option */
+const elPruneOnUnsubscribe = document.getElementById('pruneOnUnsubscribe')
+/** @type {HTMLTableSectionElement} Reference to the settings overrides table body */
+const elSettingsOverrides = document.getElementById('settingsOverrides')
+/** @type {HTMLButtonElement} Reference to the add settings override button */
+const elAddOverrideBtn = document.getElementById('addOverrideBtn')
+/** @type {HTMLButtonElement} Reference to the save settings button */
+const elSaveSettingsBtn = document.getElementById('saveSettingsBtn')
+/** @type {HTMLButtonElement} Reference to the reset settings button */
+const elResetSettingsBtn = document.getElementById('resetSettingsBtn')
+/** @type {HTMLElement} Reference to the saved session status */
+const elSessionStatus = document.getElementById('sessionStatus')
+/** @type {HTMLInputElement} Reference to the keep captured data checkbox */
+const elPersistEnabled = document.getElementById('persistEnabled')
+/** @type {HTMLSelectElement} Reference to the saved session selector */
+const elSessionSelect = document.getElementById('sessionSelect')
+/** @type {HTMLInputElement} Reference to the new session name input */
+const elSessionName = document.getElementById('sessionName')
+/** @type {HTMLButtonElement} Reference to the open session button */
+const elSessionOpenBtn = document.getElementById('sessionOpenBtn')
+/** @type {HTMLButtonElement} Reference to the delete session button */
+const elSessionDeleteBtn = document.getElementById('sessionDeleteBtn')
+/** @type {HTMLButtonElement} Reference to the new session button */
+const elSessionNewBtn = document.getElementById('sessionNewBtn')
+/** @type {HTMLButtonElement} Reference to the save storage budget button */
+const elPersistSaveBtn = document.getElementById('persistSaveBtn')
 
 // #endregion
 
 // #region --- Configuration ---
 
-/** Maximum messages to retain per topic
+/** @typedef {object} SettingsOverride
+ * @property {string} filter - MQTT topic filter the override applies to, e.g. `sensors/#`
+ * @property {number} [maxHistoryPerTopic] - Overrides the maximum messages to retain per topic
+ * @property {number} [maxVisibleMessages] - Overrides the maximum messages initially shown in the detail panel
+ * @property {number} [maxValuePreviewLength] - Overrides the maximum length of the tree value preview
+ * @property {number} [staleAfterSeconds] - Overrides the time without messages after which a topic is flagged
+ * @property {string} [payloadDecoder] - Overrides how payloads are decoded, one of `PAYLOAD_DECODERS`
+ * @property {string} [contentType] - Content type of messages that don't set an MQTT v5 content type, e.g. `image/png`
+ */
+
+/** @typedef {object} Settings
+ * @property {number} maxHistoryPerTopic - Maximum messages to retain per topic
+ * @property {number} maxVisibleMessages - Maximum messages to display in detail panel (rest are hidden until expanded)
+ * @property {number} maxValuePreviewLength - Maximum length for value preview display
+ * @property {number} renderDebounceMs - Debounce delay for rendering (ms)
+ * @property {number} staleAfterSeconds - Flag topics that have had no messages for this long (s), 0 to turn off
+ * @property {'animate'|'static'|'off'} changeHighlight - How rows of topics receiving messages are highlighted
+ * @property {string} payloadDecoder - How payloads are decoded for display and export, one of `PAYLOAD_DECODERS`
+ * @property {SettingsOverride[]} overrides - Per topic overrides, the first matching filter wins
+ */
+
+/** Default runtime settings - changed using the settings panel
+ * @type {Settings}
+ */
+const DEFAULT_SETTINGS = {
+    maxHistoryPerTopic: 50,
+    maxVisibleMessages: 10,
+    maxValuePreviewLength: 20,
+    renderDebounceMs: 100,
+    staleAfterSeconds: 0,
+    changeHighlight: 'animate',
+    payloadDecoder: 'auto',
+    overrides: [],
+}
+
+/** Display names of the payload decoders
+ * @type {{[decoder: string]: string}}
+ */
+const PAYLOAD_DECODER_LABELS = {
+    auto: 'Auto-detect',
+    json: 'JSON',
+    text: 'UTF-8 text',
+    hex: 'Hex dump',
+    base64: 'Base64',
+    cbor: 'CBOR',
+    msgpack: 'MessagePack',
+    image: 'Image (PNG or JPEG)',
+    raw: 'Raw bytes',
+}
+
+/** Largest payload shown in full as a hex dump in the detail panel (bytes)
+ * @type {number}
+ */
+const MAX_HEX_DUMP_BYTES = 4096
+
+/** Largest image previewed in the detail panel (bytes)
+ * @type {number}
+ */
+const MAX_IMAGE_PREVIEW_BYTES = 5 * 1024 * 1024
+
+/** Current runtime settings
+ * @type {Settings}
+ */
+const settings = structuredClone(DEFAULT_SETTINGS)
+
+/** uibuilder store (localStorage) key for the runtime settings
+ * @type {string}
+ */
+const STORE_KEY_SETTINGS = 'mqttExplorerSettings'
+
+/** Delay after the last keystroke before the topic filter is applied (ms)
+ * @type {number}
+ */
+const FILTER_DEBOUNCE_MS = 250
+
+/** Maximum number of filter matches whose ancestors are auto-expanded in the tree
+ * @type {number}
+ */
+const MAX_FILTER_AUTO_EXPAND = 200
+
+/** Height of a row in the topic tree (px). Rows are a fixed height so that only the visible ones need rendering
+ * @type {number}
+ */
+const TOPIC_ROW_HEIGHT = 28
+
+/** Number of extra rows rendered above and below the visible part of the topic tree to smooth scrolling
+ * @type {number}
+ */
+const TOPIC_ROW_OVERSCAN = 10
+
+/** How often message rates and stale flags are refreshed when no messages arrive (ms)
+ * @type {number}
+ */
+const ACTIVITY_REFRESH_MS = 5000
+
+/** How long rows stay highlighted after their topic, or a topic in their collapsed branch, receives a message (ms)
+ * Must match the animation duration of `.topic-row.flash` in index.css.
+ * @type {number}
+ */
+const FLASH_MS = 1000
+
+/** Minimum time between screen reader announcements of the selected topic's value (ms)
+ * Changes in between are not announced, only the value at the end of the wait.
+ * @type {number}
+ */
+const ANNOUNCE_INTERVAL_MS = 5000
+
+/** How long the letters typed to jump to a topic in the tree are remembered (ms)
+ * @type {number}
+ */
+const TYPEAHEAD_RESET_MS = 500
+
+/** Largest MQTT v5 message expiry interval - a four byte integer (s)
+ * @type {number}
+ */
+const MAX_MESSAGE_EXPIRY_INTERVAL = 4294967295
+
+/** Maximum depth searched for numeric fields in JSON payloads when offering a chart
+ * @type {number}
+ */
+const MAX_CHART_FIELD_DEPTH = 4
+
+/** Maximum depth compared when checking whether a JSON payload has changed shape
+ * @type {number}
+ */
+const MAX_SHAPE_DEPTH = 4
+
+/** Longest pause between replayed messages (ms), so gaps in a capture don't stall a replay
+ * @type {number}
+ */
+const MAX_REPLAY_GAP_MS = 10000
+
+/** Where to load MQTT.js from for direct-to-broker connections
+ * Install the `mqtt` package using uibuilder's library manager to have it served here.
+ * @type {string}
+ */
+const MQTT_LIBRARY_URL = '../uibuilder/vendor/mqtt/dist/mqtt.esm.js'
+
+/** uibuilder store (localStorage) key for the broker profiles
+ * @type {string}
+ */
+const STORE_KEY_PROFILES = 'mqttExplorerBrokers'
+
+/** uibuilder store (localStorage) key for the id of the active broker profile
+ * @type {string}
+ */
+const STORE_KEY_ACTIVE_PROFILE = 'mqttExplorerActiveBroker'
+
+/** uibuilder store (localStorage) key for the persistence configuration
+ * @type {string}
+ */
+const STORE_KEY_PERSISTENCE = 'mqttExplorerPersistence'
+
+/** uibuilder store (localStorage) key for the saved publish presets
+ * @type {string}
+ */
+const STORE_KEY_PUBLISH_PRESETS = 'mqttExplorerPublishPresets'
+
+/** uibuilder store (localStorage) key for the publish history
+ * @type {string}
+ */
+const STORE_KEY_PUBLISH_HISTORY = 'mqttExplorerPublishHistory'
+
+/** uibuilder store (localStorage) key for the pinned topics and topic filters of the watch list
+ * @type {string}
+ */
+const STORE_KEY_WATCH_LIST = 'mqttExplorerWatchList'
+
+/** Maximum number of topics shown in the watch list for each pinned topic filter
  * @type {number}
  */
-const MAX_HISTORY_PER_TOPIC = 50
+const MAX_WATCH_TOPICS_PER_PIN = 50
 
-/** Maximum messages to display in detail panel (rest are hidden until expanded)
+/** Number of recent publishes kept in the publish history
  * @type {number}
  */
-const MAX_VISIBLE_MESSAGES = 10
+const PUBLISH_HISTORY_SIZE = 20
+
+/** Name of the IndexedDB database holding saved sessions
+ * @type {string}
+ */
+const PERSISTENCE_DB_NAME = 'mqttExplorer'
 
-/** Maximum length for value preview display
+/** How often changes are saved to IndexedDB (ms)
  * @type {number}
  */
-const MAX_VALUE_PREVIEW_LENGTH = 20
+const PERSIST_INTERVAL_MS = 2000
 
 // #endregion
 
@@ -41,511 +313,887 @@ const MAX_VALUE_PREVIEW_LENGTH = 20
 
 /** @typedef {Object} TopicMessage
  * @property {unknown} payload - The message payload
+ * @property {unknown} parsed - The decoded payload - decoded once when the message arrives, see `decodeStoredMessage()`
+ * @property {string} decoder - The decoder that produced `parsed`, one of `PAYLOAD_DECODERS` other than 'auto'
+ * @property {string} [decodeError] - Why the topic's chosen decoder could not be used, if it couldn't
  * @property {string} timestamp - ISO timestamp when message was received
  * @property {number} qos - MQTT Quality of Service level
  * @property {boolean} retain - Whether the message was retained
  */
 
+/** @typedef {object} BrokerProfile
+ * @property {string} id - Unique profile id
+ * @property {string} name - Display name
+ * @property {string} transport - 'uibuilder' (via Node-RED) or 'mqtt-ws' (direct to broker)
+ * @property {string} host - Broker host name. Blank for a uibuilder profile means "as wired in Node-RED"
+ * @property {number} port - Broker port
+ * @property {string} path - WebSocket path (direct connections only)
+ * @property {string} clientId - MQTT client id, blank to auto-generate
+ * @property {string} username - Username, blank for none
+ * @property {string} password - Password, blank for none
+ * @property {boolean} tls - Whether to use TLS
+ * @property {number} protocolVersion - 4 (MQTT 3.1.1) or 5 (MQTT 5)
+ * @property {Subscription[]} subscriptions - Topic filters to subscribe to
+ */
+
+/** @typedef {object} Subscription
+ * @property {string} topic - MQTT topic filter
+ * @property {number} qos - Maximum QoS requested
+ */
+
 /** @typedef {Object} TopicNode
  * @property {string} name - Topic segment name
  * @property {Map<string, TopicNode>} children - Child topic nodes
  * @property {TopicMessage[]} messages - Message history for this topic
+ * @property {number} received - Number of messages received for this topic, including those no longer kept
+ * @property {TopicActivity} activity - Arrival statistics, independent of the message history limit
+ * @property {SubtreeStats} subtree - Totals for the topic and everything below it
  */
 
-// #endregion
-
-// #region --- Data Store ---
-
-/** Topic data store - tree structure mirroring MQTT hierarchy
- * @type {Map<string, TopicNode>}
+/** @typedef {object} SubtreeStats
+ * Maintained as messages and topics are added and removed rather than recomputed.
+ * @property {number} topics - Number of topics below this one (at any depth)
+ * @property {number} messages - Number of messages held by this topic and those below it
+ * @property {number|null} lastTime - When the latest message arrived anywhere in the subtree (ms since the epoch)
+ * @property {number[]} rateBuckets - Messages counted per 10s across the subtree, newest last
+ * @property {number} rateBucketStart - Start of the newest rate bucket (ms since the epoch)
  */
-const topicStore = new Map()
 
-/** Statistics for the topic store
- * @type {{totalTopics: number, totalMessages: number}}
+/** @typedef {object} TopicActivity
+ * @property {number|null} firstTime - When the first message arrived (ms since the epoch)
+ * @property {number|null} lastTime - When the latest message arrived (ms since the epoch)
+ * @property {number} gapCount - Number of inter-arrival times recorded
+ * @property {number} gapMean - Mean inter-arrival time (ms)
+ * @property {number} gapM2 - Sum of squared differences from the mean, for the standard deviation
+ * @property {number} gapMin - Shortest inter-arrival time (ms)
+ * @property {number} gapMax - Longest inter-arrival time (ms)
+ * @property {number[]} rateBuckets - Messages counted per 10s, newest last
+ * @property {number} rateBucketStart - Start of the newest rate bucket (ms since the epoch)
  */
-const stats = {
-    totalTopics: 0,
-    totalMessages: 0,
-}
 
 // #endregion
 
 // #region --- Data Store Functions ---
+// The topic store itself is in topic-store.mjs so that the ingest worker can share it
 
-/** Creates or retrieves a topic node in the store
+/** Adds a message to the topic store on this thread, used when there is no ingest worker
+ * @param {object} msg - Node-RED message object
+ * @returns {TopicNode} The topic node that was updated
+ */
+function storeMessage(msg) {
+    const storedMsg = msg.payload === undefined ? undefined : toStoredMessage(msg)
+    if (storedMsg) decodeTopicMessages(msg.topic, [storedMsg])
+
+    return storeTopicMessage(msg.topic, storedMsg, getTopicSetting(msg.topic, 'maxHistoryPerTopic'))
+}
+
+/** Clears the message history of a topic, in the ingest worker's store too
+ * @param {string[]} topicParts - Split topic path
+ * @returns {TopicNode|null} The cleared node or null if not found
+ */
+function clearStoredHistory(topicParts) {
+    ingestWorker?.postMessage({ type: 'clear', topic: topicParts.join('/'), })
+    return clearTopicHistory(topicParts)
+}
+
+/** Removes a topic and its whole subtree, from the ingest worker's store too
  * @param {string[]} topicParts - Split topic path
- * @returns {TopicNode} The leaf node for this topic
+ * @returns {string|null} Path of the top-most topic removed or null if not found
  */
-function getOrCreateTopicNode(topicParts) {
-    let currentLevel = topicStore
-    let node = null
+function removeStoredTopic(topicParts) {
+    ingestWorker?.postMessage({ type: 'remove', topic: topicParts.join('/'), })
+    return removeTopic(topicParts)
+}
 
-    for (let i = 0; i < topicParts.length; i++) {
-        const part = topicParts[i]
+/** Topic data put aside for brokers other than the active one, keyed by broker profile id
+ * @type {Map<string, {topics: Map<string, TopicNode>, stats: {totalTopics: number, totalMessages: number}}>}
+ */
+const brokerPartitions = new Map()
 
-        if (!currentLevel.has(part)) {
-            const newNode = {
-                name: part,
-                children: new Map(),
-                messages: [],
-            }
-            currentLevel.set(part, newNode)
-            stats.totalTopics++
-        }
+/** Id of the broker profile whose data is in the topic store
+ * @type {string|null}
+ */
+let activePartitionId = null
+
+/** Switches the topic store to another broker's data so that data from different brokers never mixes
+ * The current data is put aside and restored if the broker is switched back to.
+ * @param {string} brokerId - Id of the broker profile to switch to
+ */
+function switchTopicPartition(brokerId) {
+    if (brokerId === activePartitionId) return
+
+    if (activePartitionId !== null) {
+        brokerPartitions.set(activePartitionId, {
+            topics: new Map(topicStore),
+            stats: { ...stats, },
+        })
+    }
 
-        node = currentLevel.get(part)
-        currentLevel = node.children
+    const saved = brokerPartitions.get(brokerId)
+    if (saved) {
+        loadTopicStore(saved.topics, saved.stats)
+        brokerPartitions.delete(brokerId)
+    } else {
+        clearTopicStore()
     }
+    startIngestEpoch()
 
-    return node
+    activePartitionId = brokerId
 }
 
-/** Retrieves a topic node from the store
- * @param {string[]} topicParts - Split topic path
- * @returns {TopicNode|null} The node or null if not found
+// #endregion
+
+// #region --- UI Rendering Functions ---
+
+/** Updates the statistics display */
+function updateStatsDisplay() {
+    // const domCount = document.getElementsByTagName('*').length
+    // elStats.textContent = `Topics: ${stats.totalTopics} | Messages: ${stats.totalMessages} | DOM Elements: ${domCount}`
+    elStats.textContent = `Topics: ${stats.totalTopics} | Messages: ${stats.totalMessages}`
+}
+
+/** State of the topic tree view.
+ * The tree is shown as a flat list of rows (one per visible topic, in display order)
+ * and only the rows scrolled into view are in the DOM.
+ * `focused` is the row reached by the keyboard. It is the only row in the tab order (a roving tabindex).
+ * @type {{rows: string[], rowSet: Set<string>, expanded: Set<string>, selected: string|null, focused: string|null, rendered: Map<string, HTMLElement>}}
  */
-function getTopicNode(topicParts) {
-    let currentLevel = topicStore
+const treeView = {
+    rows: [],
+    rowSet: new Set(),
+    expanded: new Set(),
+    selected: null,
+    focused: null,
+    rendered: new Map(),
+}
 
-    for (let i = 0; i < topicParts.length; i++) {
-        const part = topicParts[i]
+/** Pending animation frame for re-rendering the visible rows
+ * @type {number|null}
+ */
+let visibleRowsFrame = null
 
-        if (!currentLevel.has(part)) {
-            return null
-        }
+/** Compares two topic paths in tree display order - parents before their sub-topics, siblings alphabetically
+ * @param {string} a - Topic path
+ * @param {string} b - Topic path
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if the same
+ */
+function compareTopicPaths(a, b) {
+    const aParts = a.split('/')
+    const bParts = b.split('/')
+    const length = Math.min(aParts.length, bParts.length)
+
+    for (let i = 0; i < length; i++) {
+        const order = topicNameCollator.compare(aParts[i], bParts[i])
+        if (order !== 0) return order
+    }
 
-        const node = currentLevel.get(part)
-        if (i === topicParts.length - 1) {
-            return node
+    return aParts.length - bParts.length
+}
+
+/** Finds the position of a topic in the visible rows using a binary search
+ * @param {string} topicPath - Full topic path
+ * @returns {number} Index of the row, or of where it would be inserted
+ */
+function findTopicRow(topicPath) {
+    const { rows, } = treeView
+    let low = 0
+    let high = rows.length
+
+    while (low < high) {
+        const mid = (low + high) >>> 1
+        if (compareTopicPaths(rows[mid], topicPath) < 0) {
+            low = mid + 1
+        } else {
+            high = mid
         }
-        currentLevel = node.children
     }
 
-    return null
+    return low
 }
 
-/** Adds a message to the topic store
- * @param {object} msg - Node-RED message object
- * @returns {TopicNode} The topic node that was updated
+/** Checks whether a topic is a filter match or the descendant of one
+ * @param {string} topicPath - Full topic path
+ * @returns {boolean} True if the topic is inside a matching branch
  */
-function storeMessage(msg) {
-    const topicParts = msg.topic.split('/')
-    const node = getOrCreateTopicNode(topicParts)
+function isInsideFilterMatch(topicPath) {
+    const topicParts = topicPath.split('/')
+    for (let i = 1; i <= topicParts.length; i++) {
+        if (topicFilter.matches.has(topicParts.slice(0, i).join('/'))) return true
+    }
+    return false
+}
 
-    if (msg.payload !== undefined) {
-        // Store only the properties we need, not the entire msg object
-        // This prevents holding references to potentially large/circular objects
-        const storedMsg = {
-            payload: msg.payload,
-            timestamp: msg.lastUpdate || new Date().toISOString(),
-            qos: msg.qos ?? 0,
-            retain: msg.retain ?? false,
-            // MQTT v5 properties
-            correlationData: msg.correlationData,
-            userProperties: msg.userProperties,
-            messageExpiryInterval: msg.messageExpiryInterval,
-            responseTopic: msg.responseTopic,
-            contentType: msg.contentType,
-        }
+/** Checks whether the active filter lets a topic be shown
+ * Matches, their ancestors and descendants of a matching branch are shown.
+ * @param {string} topicPath - Full topic path
+ * @param {boolean} insideMatch - True if the topic's parent is inside a matching branch
+ * @returns {boolean} True if the topic can be shown
+ */
+function isTopicShown(topicPath, insideMatch) {
+    return !topicFilter.matcher
+        || insideMatch
+        || topicFilter.matches.has(topicPath)
+        || topicFilter.ancestors.has(topicPath)
+}
 
-        node.messages.unshift(storedMsg)
-        stats.totalMessages++
+/** Lists the rows to show for a level of the tree, including those of expanded sub-levels
+ * @param {Map<string, TopicNode>} nodes - The level
+ * @param {string} pathPrefix - Topic path of the level
+ * @param {boolean} insideMatch - True if the level is inside a matching branch of the filter
+ * @param {string[]} [rows] - Accumulator for the rows
+ * @returns {string[]} Topic paths in display order
+ */
+function flattenTopicLevel(nodes, pathPrefix, insideMatch, rows = []) {
+    for (const name of getSortedTopicNames(nodes)) {
+        const fullPath = pathPrefix ? `${pathPrefix}/${name}` : name
+        if (!isTopicShown(fullPath, insideMatch)) continue
 
-        // Limit history per topic
-        if (node.messages.length > MAX_HISTORY_PER_TOPIC) {
-            node.messages.pop()
+        rows.push(fullPath)
+
+        const node = nodes.get(name)
+        if (treeView.expanded.has(fullPath) && node.children.size > 0) {
+            flattenTopicLevel(node.children, fullPath, insideMatch || topicFilter.matches.has(fullPath), rows)
         }
     }
 
-    return node
+    return rows
 }
 
-// #endregion
+/** Inserts rows into the visible rows at a position
+ * @param {number} index - Where to insert the rows
+ * @param {string[]} topicPaths - Topic paths to insert, in display order
+ */
+function insertTopicRows(index, topicPaths) {
+    // Avoid spreading the paths into splice(), large subtrees would overflow the call stack
+    treeView.rows = treeView.rows.slice(0, index).concat(topicPaths, treeView.rows.slice(index))
+    for (const topicPath of topicPaths) treeView.rowSet.add(topicPath)
+}
 
-// #region --- UI Rendering Functions ---
+/** Removes the rows of a topic's descendants from the visible rows
+ * @param {string} topicPath - Full topic path
+ * @param {boolean} [includeTopic] - Also remove the topic's own row
+ */
+function removeTopicRows(topicPath, includeTopic = false) {
+    if (!treeView.rowSet.has(topicPath)) return
 
-/** Updates the statistics display */
-function updateStatsDisplay() {
-    // const domCount = document.getElementsByTagName('*').length
-    // elStats.textContent = `Topics: ${stats.totalTopics} | Messages: ${stats.totalMessages} | DOM Elements: ${domCount}`
-    elStats.textContent = `Topics: ${stats.totalTopics} | Messages: ${stats.totalMessages}`
+    const index = findTopicRow(topicPath)
+    const prefix = `${topicPath}/`
+    let end = index + 1
+    while (end < treeView.rows.length && treeView.rows[end].startsWith(prefix)) end++
+
+    const start = includeTopic ? index : index + 1
+    for (const removedPath of treeView.rows.splice(start, end - start)) {
+        treeView.rowSet.delete(removedPath)
+    }
 }
 
-/** Renders a single topic node as a details element
- * @param {string} name - Topic segment name
- * @param {TopicNode} node - Topic node data
- * @param {string} fullPath - Full topic path
- * @returns {HTMLDetailsElement} The rendered details element
+/** Rebuilds the visible rows from the topic store after wholesale changes (e.g. a new filter) */
+function rebuildTopicRows() {
+    treeView.rows = flattenTopicLevel(topicStore, '', false)
+    treeView.rowSet = new Set(treeView.rows)
+    renderVisibleRows()
+}
+
+/** Creates the element for a topic row
+ * @param {string} topicPath - Full topic path
+ * @returns {HTMLElement} The row element
  */
-function renderTopicNode(name, node, fullPath) {
-    const details = document.createElement('details')
-    const summary = document.createElement('summary')
+function createTopicRow(topicPath) {
+    const row = document.createElement('div')
+    const depth = topicPath.split('/').length
+
+    row.className = 'topic-row'
+    row.setAttribute('role', 'treeitem')
+    row.dataset.topicPath = topicPath
+    row.setAttribute('aria-level', depth)
+    row.style.setProperty('--depth', depth - 1)
 
-    details.dataset.topicPath = fullPath
+    return row
+}
 
-    // Add expand/collapse indicator for nodes with children
-    if (node.children.size > 0) {
-        const expandIndicator = document.createElement('span')
-        expandIndicator.className = 'expand-indicator'
-        expandIndicator.textContent = '▶'
-        expandIndicator.setAttribute('aria-hidden', 'true')
-        summary.appendChild(expandIndicator)
+/** Fills a topic row with the topic's name, value preview and counts
+ * @param {HTMLElement} row - The row element
+ * @param {TopicNode} node - The topic node data
+ */
+function updateTopicRow(row, node) {
+    const topicPath = row.dataset.topicPath
+    const hasChildren = node.children.size > 0
+    const isExpanded = hasChildren && treeView.expanded.has(topicPath)
+
+    const retained = node.messages[0]?.retain === true
+    row.classList.toggle('hasData', node.messages.length > 0)
+    row.classList.toggle('retained', retained)
+    row.classList.toggle('selected', treeView.selected === topicPath)
+    row.classList.toggle('filter-match', topicFilter.matches.has(topicPath))
+    row.setAttribute('aria-selected', treeView.selected === topicPath)
+    if (hasChildren) {
+        row.setAttribute('aria-expanded', isExpanded)
     } else {
-        // Placeholder to maintain alignment
-        const placeholder = document.createElement('span')
-        placeholder.className = 'expand-placeholder'
-        placeholder.setAttribute('aria-hidden', 'true')
-        summary.appendChild(placeholder)
+        row.removeAttribute('aria-expanded')
     }
+    setTopicRowPosition(row, topicPath)
+
+    // Expand/collapse indicator for nodes with children, placeholder to maintain alignment otherwise
+    const expandIndicator = document.createElement('span')
+    expandIndicator.className = hasChildren ? 'expand-indicator' : 'expand-placeholder'
+    expandIndicator.setAttribute('aria-hidden', 'true')
+    if (hasChildren) expandIndicator.textContent = '▶'
 
-    // Build summary content
     const nameSpan = document.createElement('span')
     nameSpan.className = 'topic-name'
-    nameSpan.textContent = name
-    summary.appendChild(nameSpan)
+    nameSpan.textContent = node.name
+
+    const content = [expandIndicator, nameSpan]
 
-    // Add simple value preview if latest message has a simple value
     if (node.messages.length > 0) {
-        const latestPayload = node.messages[0].payload
+        // Simple value preview of the latest message
+        const latestValue = node.messages[0].parsed
         const valuePreview = document.createElement('span')
         valuePreview.className = 'value-preview'
-        if (isSimpleValue(latestPayload)) {
-            valuePreview.textContent = formatValuePreview(latestPayload)
-            valuePreview.title = String(parsePayload(latestPayload))
+        if (isSimpleValue(latestValue)) {
+            valuePreview.textContent = formatValuePreview(latestValue, getTopicSetting(topicPath, 'maxValuePreviewLength'))
+            valuePreview.title = String(latestValue)
         } else {
             valuePreview.textContent = '{…}'
             valuePreview.title = 'Complex value - click to view details'
             valuePreview.classList.add('complex-value')
         }
-        summary.appendChild(valuePreview)
-    }
+        flagShapeChange(valuePreview, node)
+
+        if (retained) {
+            const retainedBadge = document.createElement('span')
+            retainedBadge.className = 'retained-badge'
+            retainedBadge.textContent = 'R'
+            retainedBadge.title = 'The current value is a retained message'
+            content.push(retainedBadge)
+        }
 
-    // Add message count badge if has messages
-    if (node.messages.length > 0) {
-        details.classList.add('hasData')
         const badge = document.createElement('span')
         badge.className = 'message-count'
         badge.textContent = `${node.messages.length}`
         badge.title = `${node.messages.length} message(s) stored`
-        summary.appendChild(badge)
+
+        content.push(valuePreview, badge)
+    }
+
+    const now = Date.now()
+    const stale = isTopicStale(node, topicPath, now)
+    row.classList.toggle('stale', stale)
+
+    // Branches show the rate and latest message of their whole subtree
+    const { subtree, } = node
+    const lastTime = hasChildren ? subtree.lastTime : node.activity.lastTime
+    if (lastTime !== null) {
+        const rate = document.createElement('span')
+        rate.className = 'topic-rate'
+        rate.textContent = `${getMessageRate(hasChildren ? subtree : node.activity, now)}/min`
+        rate.title = hasChildren
+            ? `Messages per minute across this branch, last message ${formatDuration(now - lastTime)} ago`
+            : `Last message ${formatDuration(now - lastTime)} ago${stale ? ' - stale' : ''}`
+        content.push(rate)
     }
 
-    // Add child count indicator if has children
-    if (node.children.size > 0) {
+    if (hasChildren) {
         const childIndicator = document.createElement('span')
         childIndicator.className = 'child-count'
-        childIndicator.textContent = `▸ ${node.children.size}`
-        childIndicator.title = `${node.children.size} sub-topic(s)`
-        summary.appendChild(childIndicator)
+        childIndicator.textContent = `▸ ${subtree.topics} · ${subtree.messages}`
+        childIndicator.title = `${subtree.topics} topic(s) below (${node.children.size} direct), ${subtree.messages} message(s) stored in this branch`
+        content.push(childIndicator)
     }
 
-    details.appendChild(summary)
+    row.replaceChildren(...content)
+    row.setAttribute('aria-label', describeTopicRow(node, topicPath, stale))
+}
+
+/** Describes a topic row for screen readers, the symbols and counts shown in the row read badly
+ * @param {TopicNode} node - The topic node data
+ * @param {string} topicPath - Full topic path
+ * @param {boolean} stale - Whether the topic is stale
+ * @returns {string} The description
+ */
+function describeTopicRow(node, topicPath, stale) {
+    const parts = [node.name]
 
-    // Create container for children (lazy-loaded via delegated event)
-    if (node.children.size > 0) {
-        const childContainer = document.createElement('div')
-        childContainer.className = 'topic-children'
-        details.appendChild(childContainer)
+    if (node.messages.length > 0) {
+        const latestValue = node.messages[0].parsed
+        parts.push(isSimpleValue(latestValue)
+            ? `value ${formatValuePreview(latestValue, getTopicSetting(topicPath, 'maxValuePreviewLength'))}`
+            : 'complex value')
+        if (node.messages[0].retain === true) parts.push('retained')
     }
+    if (stale) parts.push('stale')
+    if (node.children.size > 0) parts.push(`${node.subtree.topics} topics below`)
 
-    return details
+    return parts.join(', ')
 }
 
-/** Renders a level of the topic tree
- * @param {Map<string, TopicNode>} nodes - Nodes to render
- * @param {HTMLElement} container - Parent container element
- * @param {string} [pathPrefix=''] - Current topic path prefix
+/** Sets a row's position among its siblings, which assistive technologies can't count as only some rows are rendered
+ * The position is left out while the topic filter hides some of the siblings.
+ * @param {HTMLElement} row - The row element
+ * @param {string} topicPath - Full topic path
  */
-function renderTopicLevel(nodes, container, pathPrefix = '') {
-    // Sort topics alphabetically
-    const sortedEntries = [...nodes.entries()].sort((a, b) => a[0].localeCompare(b[0]))
-
-    for (const [name, node] of sortedEntries) {
-        const fullPath = pathPrefix ? `${pathPrefix}/${name}` : name
-        const existingDetails = container.querySelector(`[data-topic-path="${CSS.escape(fullPath)}"]`)
-
-        if (existingDetails) {
-            // Update existing node
-            updateTopicNode(existingDetails, node)
-        } else {
-            // Create new node and insert in sorted position
-            const details = renderTopicNode(name, node, fullPath)
-            insertNodeSorted(container, details, name)
-        }
+function setTopicRowPosition(row, topicPath) {
+    const topicParts = topicPath.split('/')
+    const parent = topicParts.length > 1 ? getTopicNode(topicParts.slice(0, -1)) : null
+    const nodes = parent ? parent.children : topicStore
+
+    if (topicFilter.matcher || !nodes.has(topicParts.at(-1))) {
+        row.removeAttribute('aria-posinset')
+        row.removeAttribute('aria-setsize')
+        return
     }
+
+    const names = getSortedTopicNames(nodes)
+    row.setAttribute('aria-posinset', findSortedTopicName(names, topicParts.at(-1)) + 1)
+    row.setAttribute('aria-setsize', names.length)
 }
 
-/** Renders direct children only (non-recursive) - used for updating expanded nodes
- * @param {Map<string, TopicNode>} nodes - Nodes to render
- * @param {HTMLElement} container - Parent container element
- * @param {string} [pathPrefix=''] - Current topic path prefix
+/** Refreshes a topic's row if it is currently rendered
+ * @param {string} topicPath - Full topic path
  */
-function renderTopicLevelDirect(nodes, container, pathPrefix = '') {
-    // Sort topics alphabetically
-    const sortedEntries = [...nodes.entries()].sort((a, b) => a[0].localeCompare(b[0]))
+function refreshTopicRow(topicPath) {
+    const row = treeView.rendered.get(topicPath)
+    if (!row) return
 
-    for (const [name, node] of sortedEntries) {
-        const fullPath = pathPrefix ? `${pathPrefix}/${name}` : name
-        const existingDetails = container.querySelector(`[data-topic-path="${CSS.escape(fullPath)}"]`)
+    const node = getTopicNode(topicPath.split('/'))
+    if (node) updateTopicRow(row, node)
+}
 
-        if (existingDetails) {
-            // Update existing node without recursion
-            updateTopicNodeDirect(existingDetails, node)
-        } else {
-            // Create new node and insert in sorted position
-            const details = renderTopicNode(name, node, fullPath)
-            insertNodeSorted(container, details, name)
-        }
+/** Refreshes every rendered row, e.g. after the settings change */
+function refreshRenderedRows() {
+    for (const topicPath of treeView.rendered.keys()) {
+        refreshTopicRow(topicPath)
     }
 }
 
-/** Inserts a topic node element in alphabetically sorted position
- * @param {HTMLElement} container - Parent container element
- * @param {HTMLElement} newNode - The new details element to insert
- * @param {string} name - The topic name for comparison
- */
-function insertNodeSorted(container, newNode, name) {
-    const existingNodes = container.querySelectorAll(':scope > details[data-topic-path]')
-
-    for (const existingNode of existingNodes) {
-        const existingPath = existingNode.dataset.topicPath
-        const existingName = existingPath.split('/').pop()
-
-        if (name.localeCompare(existingName) < 0) {
-            container.insertBefore(newNode, existingNode)
-            return
+/** Renders the rows that are scrolled into view, removing those that are not */
+function renderVisibleRows() {
+    const { rows, rendered, } = treeView
+    const first = Math.max(Math.floor(elTopicTree.scrollTop / TOPIC_ROW_HEIGHT) - TOPIC_ROW_OVERSCAN, 0)
+    const last = Math.min(
+        Math.ceil((elTopicTree.scrollTop + elTopicTree.clientHeight) / TOPIC_ROW_HEIGHT) + TOPIC_ROW_OVERSCAN,
+        rows.length
+    )
+
+    // The padding stands in for the rows above the rendered ones, the height for all of the rows
+    elTopicRows.style.height = `${rows.length * TOPIC_ROW_HEIGHT}px`
+    elTopicRows.style.paddingTop = `${first * TOPIC_ROW_HEIGHT}px`
+
+    const wanted = new Set(rows.slice(first, last))
+    for (const [topicPath, row] of rendered) {
+        if (!wanted.has(topicPath)) {
+            row.remove()
+            rendered.delete(topicPath)
         }
     }
 
-    // If no insertion point found, append at end
-    container.appendChild(newNode)
-}
-
-/** Updates an existing topic node element
- * @param {HTMLElement} details - The details element to update
- * @param {TopicNode} node - The topic node data
- */
-function updateTopicNode(details, node) {
-    const summary = details.querySelector(':scope > summary')
-    let badge = summary.querySelector('.message-count')
-    let childIndicator = summary.querySelector('.child-count')
-    let valuePreview = summary.querySelector('.value-preview')
+    // Keep the DOM order the same as the display order for assistive technologies
+    let previous = null
+    for (let i = first; i < last; i++) {
+        const topicPath = rows[i]
+        let row = rendered.get(topicPath)
+
+        if (!row) {
+            const node = getTopicNode(topicPath.split('/'))
+            if (!node) continue
+            row = createTopicRow(topicPath)
+            updateTopicRow(row, node)
+            rendered.set(topicPath, row)
+        }
 
-    // Update simple value preview
-    if (node.messages.length > 0) {
-        const latestPayload = node.messages[0].payload
-        if (!valuePreview) {
-            valuePreview = document.createElement('span')
-            valuePreview.className = 'value-preview'
-            // Insert after topic-name
-            const topicName = summary.querySelector('.topic-name')
-            if (topicName?.nextSibling) {
-                summary.insertBefore(valuePreview, topicName.nextSibling)
+        if (row.previousElementSibling !== previous || !row.isConnected) {
+            if (previous) {
+                previous.after(row)
             } else {
-                summary.appendChild(valuePreview)
+                elTopicRows.prepend(row)
             }
         }
+        previous = row
+    }
 
-        if (isSimpleValue(latestPayload)) {
-            valuePreview.textContent = formatValuePreview(latestPayload)
-            valuePreview.title = String(parsePayload(latestPayload))
-            valuePreview.classList.remove('complex-value')
-        } else {
-            valuePreview.textContent = '{…}'
-            valuePreview.title = 'Complex value - click to view details'
-            valuePreview.classList.add('complex-value')
-        }
+    // Only the focus target is in the tab order. While it is scrolled out of view, the tree takes its place
+    const focusTarget = getTreeFocusTarget()
+    for (const [topicPath, row] of rendered) {
+        row.tabIndex = topicPath === focusTarget ? 0 : -1
     }
+    elTopicTree.tabIndex = rendered.has(focusTarget) ? -1 : 0
+}
 
-    // Update message count badge
-    if (node.messages.length > 0) {
-        details.classList.add('hasData')
-
-        if (!badge) {
-            badge = document.createElement('span')
-            badge.className = 'message-count'
-            const childCount = summary.querySelector('.child-count')
-            if (childCount) {
-                summary.insertBefore(badge, childCount)
-            } else {
-                summary.appendChild(badge)
-            }
-        }
+/** Gets the row that keyboard focus goes to in the tree
+ * @returns {string|null} The focused row if it is shown, otherwise the selected or first row
+ */
+function getTreeFocusTarget() {
+    if (treeView.rowSet.has(treeView.focused)) return treeView.focused
+    if (treeView.rowSet.has(treeView.selected)) return treeView.selected
+    return treeView.rows[0] ?? null
+}
 
-        badge.textContent = `${node.messages.length}`
-        badge.title = `${node.messages.length} message(s) stored`
+/** Scrolls the tree so that a row is in view
+ * @param {string} topicPath - Full topic path of the row
+ */
+function scrollTopicRowIntoView(topicPath) {
+    const top = findTopicRow(topicPath) * TOPIC_ROW_HEIGHT
+
+    if (top < elTopicTree.scrollTop) {
+        elTopicTree.scrollTop = top
+    } else if (top + TOPIC_ROW_HEIGHT > elTopicTree.scrollTop + elTopicTree.clientHeight) {
+        elTopicTree.scrollTop = top + TOPIC_ROW_HEIGHT - elTopicTree.clientHeight
     }
+}
 
-    // Update child count indicator
-    if (node.children.size > 0) {
-        // Add expand indicator if not present
-        let expandIndicator = summary.querySelector('.expand-indicator')
-        if (!expandIndicator) {
-            // Remove placeholder if present
-            const placeholder = summary.querySelector('.expand-placeholder')
-            if (placeholder) {
-                placeholder.remove()
-            }
-            // Add expand indicator at the start
-            expandIndicator = document.createElement('span')
-            expandIndicator.className = 'expand-indicator'
-            expandIndicator.textContent = '▶'
-            expandIndicator.setAttribute('aria-hidden', 'true')
-            summary.insertBefore(expandIndicator, summary.firstChild)
-        }
+/** Moves keyboard focus to a row, scrolling it into view and rendering it if needed
+ * @param {string|null|undefined} topicPath - Full topic path of the row, nothing happens if there is none
+ */
+function focusTopicRow(topicPath) {
+    if (!topicPath || !treeView.rowSet.has(topicPath)) return
 
-        if (!childIndicator) {
-            childIndicator = document.createElement('span')
-            childIndicator.className = 'child-count'
-            summary.appendChild(childIndicator)
-        }
+    treeView.focused = topicPath
+    scrollTopicRowIntoView(topicPath)
+    renderVisibleRows()
+    treeView.rendered.get(topicPath)?.focus({ preventScroll: true, })
+}
 
-        childIndicator.textContent = `▸ ${node.children.size}`
-        childIndicator.title = `${node.children.size} sub-topic(s)`
+/** Letters typed to jump to a topic in the tree
+ * @type {{text: string, timeout: number|null}}
+ */
+const typeahead = {
+    text: '',
+    timeout: null,
+}
 
-        // Ensure child container exists for lazy loading (via delegated event)
-        let childContainer = details.querySelector(':scope > .topic-children')
-        if (!childContainer) {
-            childContainer = document.createElement('div')
-            childContainer.className = 'topic-children'
-            details.appendChild(childContainer)
-        }
+/** Finds the next sibling of a topic whose name starts with the letters typed so far
+ * The search starts after the topic for a new letter, and at the topic while more letters are typed, and wraps around.
+ * @param {string} topicPath - Full topic path of the focused row
+ * @param {string} key - The letter typed
+ * @returns {string|null} Topic path of the sibling, null if there is no match
+ */
+function findTypeaheadTopic(topicPath, key) {
+    clearTimeout(typeahead.timeout)
+    typeahead.timeout = setTimeout(() => {
+        typeahead.text = ''
+    }, TYPEAHEAD_RESET_MS)
+
+    // Typing the same letter again cycles through the siblings starting with it
+    const letter = key.toLowerCase()
+    if (typeahead.text !== letter) typeahead.text += letter
+    const text = typeahead.text
+
+    const depth = topicPath.split('/').length
+    const parentPrefix = topicPath.slice(0, topicPath.lastIndexOf('/') + 1)
+    const { rows, } = treeView
+    const start = findTopicRow(topicPath)
+    const offset = text.length === 1 ? 1 : 0
+
+    for (let i = 0; i < rows.length; i++) {
+        const candidate = rows[(start + offset + i) % rows.length]
+        if (!candidate.startsWith(parentPrefix) || candidate.split('/').length !== depth) continue
+        const name = candidate.slice(parentPrefix.length).toLowerCase()
+        if (name.startsWith(text)) return candidate
     }
 
-    // Only update direct children if expanded (not recursive)
-    if (details.open) {
-        const childContainer = details.querySelector(':scope > .topic-children')
-        if (childContainer && node.children.size > 0) {
-            const fullPath = details.dataset.topicPath
-            // Only render/update direct children, not recursively
-            renderTopicLevelDirect(node.children, childContainer, fullPath)
-        }
-    }
+    return null
 }
 
-/** Updates an existing topic node element without recursive child updates
- * @param {HTMLElement} details - The details element to update
- * @param {TopicNode} node - The topic node data
+/** Handles a key pressed on a row of the topic tree, following the WAI-ARIA tree view pattern
+ * @param {string} topicPath - Full topic path of the focused row
+ * @param {KeyboardEvent} event - The key event
+ * @returns {boolean} True if the key was handled
  */
-function updateTopicNodeDirect(details, node) {
-    const summary = details.querySelector(':scope > summary')
-    let badge = summary.querySelector('.message-count')
-    let childIndicator = summary.querySelector('.child-count')
-    let valuePreview = summary.querySelector('.value-preview')
+function handleTopicTreeKey(topicPath, event) {
+    const node = getTopicNode(topicPath.split('/'))
+    if (!node) return false
 
-    // Update simple value preview
-    if (node.messages.length > 0) {
-        const latestPayload = node.messages[0].payload
-        if (!valuePreview) {
-            valuePreview = document.createElement('span')
-            valuePreview.className = 'value-preview'
-            const topicName = summary.querySelector('.topic-name')
-            if (topicName?.nextSibling) {
-                summary.insertBefore(valuePreview, topicName.nextSibling)
-            } else {
-                summary.appendChild(valuePreview)
-            }
+    const { rows, } = treeView
+    const index = findTopicRow(topicPath)
+    const hasChildren = node.children.size > 0
+
+    // Moving around starts a new type-ahead search
+    if (event.key.length !== 1) typeahead.text = ''
+
+    switch (event.key) {
+        case 'ArrowDown': {
+            focusTopicRow(rows[index + 1])
+            return true
         }
 
-        if (isSimpleValue(latestPayload)) {
-            valuePreview.textContent = formatValuePreview(latestPayload)
-            valuePreview.title = String(parsePayload(latestPayload))
-            valuePreview.classList.remove('complex-value')
-        } else {
-            valuePreview.textContent = '{…}'
-            valuePreview.title = 'Complex value - click to view details'
-            valuePreview.classList.add('complex-value')
+        case 'ArrowUp': {
+            focusTopicRow(rows[index - 1])
+            return true
         }
-    }
 
-    // Update message count badge
-    if (node.messages.length > 0) {
-        details.classList.add('hasData')
-
-        if (!badge) {
-            badge = document.createElement('span')
-            badge.className = 'message-count'
-            const childCount = summary.querySelector('.child-count')
-            if (childCount) {
-                summary.insertBefore(badge, childCount)
+        case 'ArrowRight': {
+            // Expands a closed branch, moves into an open one
+            if (!hasChildren) return true
+            if (treeView.expanded.has(topicPath)) {
+                focusTopicRow(rows[index + 1])
             } else {
-                summary.appendChild(badge)
+                expandTopic(topicPath)
             }
+            return true
         }
 
-        badge.textContent = `${node.messages.length}`
-        badge.title = `${node.messages.length} message(s) stored`
-    }
-
-    // Update child count indicator only (no container creation or recursive updates)
-    if (node.children.size > 0) {
-        let expandIndicator = summary.querySelector('.expand-indicator')
-        if (!expandIndicator) {
-            const placeholder = summary.querySelector('.expand-placeholder')
-            if (placeholder) {
-                placeholder.remove()
+        case 'ArrowLeft': {
+            // Collapses an open branch, otherwise moves to the parent
+            if (hasChildren && treeView.expanded.has(topicPath)) {
+                collapseTopic(topicPath)
+            } else if (topicPath.includes('/')) {
+                focusTopicRow(topicPath.slice(0, topicPath.lastIndexOf('/')))
             }
-            expandIndicator = document.createElement('span')
-            expandIndicator.className = 'expand-indicator'
-            expandIndicator.textContent = '▶'
-            expandIndicator.setAttribute('aria-hidden', 'true')
-            summary.insertBefore(expandIndicator, summary.firstChild)
+            return true
         }
 
-        if (!childIndicator) {
-            childIndicator = document.createElement('span')
-            childIndicator.className = 'child-count'
-            summary.appendChild(childIndicator)
+        case 'Home': {
+            focusTopicRow(rows[0])
+            return true
         }
 
-        childIndicator.textContent = `▸ ${node.children.size}`
-        childIndicator.title = `${node.children.size} sub-topic(s)`
-    }
-}
-
-/** Renders the root level of the topic tree */
-function renderRootTopics() {
-    // Only render/update top-level nodes - children are lazy-loaded
-    const sortedEntries = [...topicStore.entries()].sort((a, b) => a[0].localeCompare(b[0]))
+        case 'End': {
+            focusTopicRow(rows.at(-1))
+            return true
+        }
 
-    for (const [name, node] of sortedEntries) {
-        const existingDetails = elTopicTree.querySelector(`:scope > [data-topic-path="${CSS.escape(name)}"]`)
+        case 'Enter': {
+            selectTopic(topicPath)
+            return true
+        }
 
-        if (existingDetails) {
-            // Update existing node (non-recursive for top level too)
-            updateTopicNodeDirect(existingDetails, node)
-        } else {
-            // Create new node and insert in sorted position
-            const details = renderTopicNode(name, node, name)
-            insertNodeSorted(elTopicTree, details, name)
+        default: {
+            if (event.key.length !== 1 || event.key === ' ' || event.ctrlKey || event.metaKey || event.altKey) return false
+            focusTopicRow(findTypeaheadTopic(topicPath, event.key))
+            return true
         }
     }
-
-    updateStatsDisplay()
 }
 
-/** Parses a payload, attempting JSON parse if string
- * @param {unknown} payload - The payload to parse
- * @returns {unknown} The parsed payload
+/** What was last announced about the selected topic's value
+ * @type {{topicPath: string|null, text: string, time: number, timeout: number|null}}
  */
-function parsePayload(payload) {
-    if (typeof payload === 'string') {
-        try {
-            return JSON.parse(payload)
-        } catch {
-            return payload
-        }
-    }
-    return payload
+const announcement = {
+    topicPath: null,
+    text: '',
+    time: 0,
+    timeout: null,
 }
 
-/** Checks if a value is simple (can be displayed inline)
- * @param {unknown} value - The value to check
- * @returns {boolean} True if the value is simple
- */
-function isSimpleValue(value) {
-    const parsed = parsePayload(value)
+/** Describes the latest value of a topic for announcing
+ * @param {TopicNode} node - The topic node data
+ * @param {string} topicPath - Full topic path
+ * @returns {string} The description
+ */
+function describeTopicValue(node, topicPath) {
+    if (node.messages.length === 0) return `${node.name} has no value`
+
+    const latestValue = node.messages[0].parsed
+    return isSimpleValue(latestValue)
+        ? `${node.name} is ${formatValuePreview(latestValue, getTopicSetting(topicPath, 'maxValuePreviewLength'))}`
+        : `${node.name} has a new complex value`
+}
+
+/** Announces the selected topic's value to screen readers if it has changed
+ * Announcements are at least `ANNOUNCE_INTERVAL_MS` apart so that busy topics don't drown out everything else.
+ * A change during the wait is announced at the end of it, with the value at that time.
+ */
+function announceSelectedValue() {
+    const topicPath = treeView.selected
+    const node = topicPath ? getTopicNode(topicPath.split('/')) : null
+
+    // Selecting a topic reads out its row, so only later changes are announced
+    if (topicPath !== announcement.topicPath) {
+        clearTimeout(announcement.timeout)
+        announcement.timeout = null
+        announcement.topicPath = topicPath
+        announcement.text = node ? describeTopicValue(node, topicPath) : ''
+        return
+    }
+    if (!node || announcement.timeout) return
+
+    const text = describeTopicValue(node, topicPath)
+    if (text === announcement.text) return
+
+    const wait = announcement.time + ANNOUNCE_INTERVAL_MS - Date.now()
+    if (wait > 0) {
+        announcement.timeout = setTimeout(() => {
+            announcement.timeout = null
+            announceSelectedValue()
+        }, wait)
+        return
+    }
+
+    announcement.text = text
+    announcement.time = Date.now()
+    elTopicAnnouncer.textContent = text
+}
+
+/** Re-renders the visible rows on the next animation frame, e.g. while scrolling */
+function scheduleVisibleRows() {
+    if (visibleRowsFrame) return
+    visibleRowsFrame = requestAnimationFrame(() => {
+        visibleRowsFrame = null
+        renderVisibleRows()
+    })
+}
+
+/** Brings the visible rows in line with the store along a single topic path.
+ * Only levels whose parent is expanded are touched, so the rest of the tree is never revisited.
+ * @param {string} topicPath - Full topic path that was updated
+ */
+function syncTopicRows(topicPath) {
+    const topicParts = topicPath.split('/')
+    let nodes = topicStore
+    let insideMatch = false
+
+    for (let i = 0; i < topicParts.length; i++) {
+        const node = nodes.get(topicParts[i])
+        if (!node) return
+
+        const fullPath = topicParts.slice(0, i + 1).join('/')
+
+        if (treeView.rowSet.has(fullPath)) {
+            refreshTopicRow(fullPath)
+        } else {
+            if (!isTopicShown(fullPath, insideMatch)) return
+
+            const newRows = [fullPath]
+            if (treeView.expanded.has(fullPath)) {
+                flattenTopicLevel(node.children, fullPath, insideMatch || topicFilter.matches.has(fullPath), newRows)
+            }
+            insertTopicRows(findTopicRow(fullPath), newRows)
+        }
+
+        if (!treeView.expanded.has(fullPath)) return
+
+        insideMatch ||= topicFilter.matches.has(fullPath)
+        nodes = node.children
+    }
+}
+
+/** Expands a topic, showing its sub-topics
+ * @param {string} topicPath - Full topic path
+ */
+function expandTopic(topicPath) {
+    if (treeView.expanded.has(topicPath)) return
+    treeView.expanded.add(topicPath)
+
+    const node = getTopicNode(topicPath.split('/'))
+    if (node && treeView.rowSet.has(topicPath)) {
+        const childRows = flattenTopicLevel(node.children, topicPath, isInsideFilterMatch(topicPath))
+        insertTopicRows(findTopicRow(topicPath) + 1, childRows)
+    }
+
+    refreshTopicRow(topicPath)
+    renderVisibleRows()
+}
+
+/** Collapses a topic, hiding its sub-topics
+ * @param {string} topicPath - Full topic path
+ */
+function collapseTopic(topicPath) {
+    if (!treeView.expanded.delete(topicPath)) return
+
+    // Keyboard focus can't stay on a row that is being hidden
+    if (treeView.focused?.startsWith(`${topicPath}/`)) treeView.focused = topicPath
+    removeTopicRows(topicPath)
+    refreshTopicRow(topicPath)
+    renderVisibleRows()
+}
+
+/** Selects a topic and shows it in the detail panel
+ * @param {string} topicPath - Full topic path
+ */
+function selectTopic(topicPath) {
+    const node = getTopicNode(topicPath.split('/'))
+    if (!node) return
+
+    pendingDeepLink = null
+    const previous = treeView.selected
+    treeView.selected = topicPath
+    if (previous) refreshTopicRow(previous)
+    refreshTopicRow(topicPath)
+    announceSelectedValue()
+    updateUrlHash()
+
+    renderDetailPanel(node, topicPath)
+}
+
+/** Pending timeouts that end the highlight of a row
+ * @type {WeakMap<HTMLElement, number>}
+ */
+const flashTimeouts = new WeakMap()
+
+/** Highlights a row for `FLASH_MS`, restarting the highlight if it is already showing
+ * @param {HTMLElement} row - The row
+ * @param {'flash'|'flash-descendant'} className - Class giving the style of highlight
+ */
+function flashRow(row, className) {
+    clearTimeout(flashTimeouts.get(row))
+    row.classList.remove('flash', 'flash-descendant')
+    // Reading the layout makes the browser notice the class was removed, so the animation starts again
+    row.getBoundingClientRect()
+    row.classList.add(className)
+    flashTimeouts.set(row, setTimeout(() => row.classList.remove(className), FLASH_MS))
+}
+
+/** Highlights the rows of topics that have received messages
+ * A topic hidden in a collapsed branch highlights the row of that branch instead, more subtly,
+ * so that activity in hidden parts of the tree can still be seen.
+ * @param {Set<string>} topicPaths - Topics that have received messages
+ */
+function flashTopicRows(topicPaths) {
+    if (settings.changeHighlight === 'off') return
+
+    /** @type {Map<string, 'flash'|'flash-descendant'>} */
+    const flashes = new Map()
+    for (const topicPath of topicPaths) {
+        if (treeView.rowSet.has(topicPath)) {
+            flashes.set(topicPath, 'flash')
+            continue
+        }
+
+        // The nearest ancestor with a row is the collapsed branch hiding this topic
+        const topicParts = topicPath.split('/')
+        for (let i = topicParts.length - 1; i > 0; i--) {
+            const ancestorPath = topicParts.slice(0, i).join('/')
+            if (treeView.rowSet.has(ancestorPath)) {
+                if (!flashes.has(ancestorPath)) flashes.set(ancestorPath, 'flash-descendant')
+                break
+            }
+        }
+    }
+
+    // Only rows scrolled into view exist
+    for (const [topicPath, className] of flashes) {
+        const row = treeView.rendered.get(topicPath)
+        if (row) flashRow(row, className)
+    }
+}
+
+/** Removes a topic's rows from the tree and refreshes the rows of its remaining ancestors
+ * @param {string} topicPath - Full path of the removed topic
+ */
+function removeRenderedTopic(topicPath) {
+    removeTopicRows(topicPath, true)
+
+    // Forget the expanded state of the removed topics, they start collapsed if they re-appear
+    const prefix = `${topicPath}/`
+    for (const expandedPath of treeView.expanded) {
+        if (expandedPath === topicPath || expandedPath.startsWith(prefix)) treeView.expanded.delete(expandedPath)
+    }
+    if (treeView.selected === topicPath || treeView.selected?.startsWith(prefix)) treeView.selected = null
+
+    const topicParts = topicPath.split('/')
+    for (let i = topicParts.length - 1; i > 0; i--) {
+        refreshTopicRow(topicParts.slice(0, i).join('/'))
+    }
+
+    renderVisibleRows()
+    renderWatchList()
+}
+
+/** Checks if a value is simple (can be displayed inline)
+ * @param {unknown} parsed - The parsed payload to check
+ * @returns {boolean} True if the value is simple
+ */
+function isSimpleValue(parsed) {
     return parsed === null ||
            typeof parsed === 'string' ||
            typeof parsed === 'number' ||
@@ -553,12 +1201,11 @@ function isSimpleValue(value) {
 }
 
 /** Formats a simple value for inline preview display
- * @param {unknown} value - The value to format
+ * @param {unknown} parsed - The parsed payload to format
+ * @param {number} [maxLength] - Maximum length of the preview
  * @returns {string} Formatted and truncated string
  */
-function formatValuePreview(value) {
-    const parsed = parsePayload(value)
-
+function formatValuePreview(parsed, maxLength = settings.maxValuePreviewLength) {
     let display
     if (parsed === null) {
         display = 'null'
@@ -571,30 +1218,157 @@ function formatValuePreview(value) {
     }
 
     // Truncate if too long
-    if (display.length > MAX_VALUE_PREVIEW_LENGTH) {
-        return display.substring(0, MAX_VALUE_PREVIEW_LENGTH - 1) + '…'
+    if (display.length > maxLength) {
+        return display.substring(0, maxLength - 1) + '…'
     }
 
     return display
 }
 
+/** Formats a duration for display, e.g. `850ms`, `12.5s`, `3m 20s`, `2h 5m`
+ * @param {number} ms - Duration (ms)
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)}ms`
+    if (ms < 60000) return `${Number((ms / 1000).toFixed(1))}s`
+
+    const minutes = Math.floor(ms / 60000)
+    if (minutes < 60) return `${minutes}m ${Math.floor((ms % 60000) / 1000)}s`
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+/** Checks whether a topic has gone without messages for longer than its stale threshold
+ * @param {TopicNode} node - Topic node to check
+ * @param {string} topicPath - Full topic path
+ * @param {number} now - The current time (ms since the epoch)
+ * @returns {boolean} True if the topic is stale
+ */
+function isTopicStale(node, topicPath, now) {
+    if (node.activity.lastTime === null) return false
+
+    const staleAfterSeconds = getTopicSetting(topicPath, 'staleAfterSeconds')
+    return staleAfterSeconds > 0 && now - node.activity.lastTime > staleAfterSeconds * 1000
+}
+
+/** Escapes text for safe inclusion in HTML
+ * @param {unknown} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/** Describes the structure of a parsed payload - its keys and value types but not its values
+ * @param {unknown} value - The parsed payload
+ * @param {number} [depth] - Current nesting depth
+ * @returns {string} Shape signature, e.g. `{a:number,b:{c:string}}`
+ */
+function getPayloadShape(value, depth = 0) {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (typeof value !== 'object') return typeof value
+    if (depth >= MAX_SHAPE_DEPTH) return 'object'
+
+    const keys = Object.keys(value).sort()
+    return `{${keys.map(key => `${key}:${getPayloadShape(value[key], depth + 1)}`).join(',')}}`
+}
+
+/** Checks whether the latest payload of a topic has a different shape to the previous one
+ * @param {TopicNode} node - The topic node
+ * @returns {boolean} True if keys were added/removed or a value changed type
+ */
+function hasShapeChanged(node) {
+    if (node.messages.length < 2) return false
+    return getPayloadShape(node.messages[0].parsed) !== getPayloadShape(node.messages[1].parsed)
+}
+
+/** Flags a tree value preview if the topic's payload has changed shape
+ * @param {HTMLElement} valuePreview - The value preview element
+ * @param {TopicNode} node - The topic node
+ */
+function flagShapeChange(valuePreview, node) {
+    const shapeChanged = hasShapeChanged(node)
+    valuePreview.classList.toggle('shape-changed', shapeChanged)
+    if (shapeChanged) valuePreview.title += ' (shape changed since the previous message)'
+}
+
+/** Lists the structural differences between two parsed payloads
+ * @param {unknown} before - The older value
+ * @param {unknown} after - The newer value
+ * @param {string} [path] - Path of the values within the payload
+ * @param {Array<{type: string, path: string, before?: unknown, after?: unknown}>} [changes] - Accumulator for the changes
+ * @returns {Array<{type: string, path: string, before?: unknown, after?: unknown}>} Added, removed and changed values
+ */
+function diffValues(before, after, path = '', changes = []) {
+    const isObject = value => value !== null && typeof value === 'object'
+
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+        for (const key of keys) {
+            const childPath = Array.isArray(after) ? `${path}[${key}]` : (path ? `${path}.${key}` : key)
+            if (!(key in before)) {
+                changes.push({ type: 'added', path: childPath, after: after[key], })
+            } else if (!(key in after)) {
+                changes.push({ type: 'removed', path: childPath, before: before[key], })
+            } else {
+                diffValues(before[key], after[key], childPath, changes)
+            }
+        }
+    } else if (!Object.is(before, after)) {
+        changes.push({ type: 'changed', path, before, after, })
+    }
+
+    return changes
+}
+
+/** Renders the differences between two messages
+ * @param {TopicMessage} olderMsg - The older message
+ * @param {TopicMessage} newerMsg - The newer message
+ * @returns {string} HTML string listing the changes
+ */
+function renderMessageDiff(olderMsg, newerMsg) {
+    const changes = diffValues(olderMsg.parsed, newerMsg.parsed)
+    if (changes.length === 0) return '<p class="no-messages">No changes.</p>'
+
+    const format = (value) => {
+        const text = JSON.stringify(value) ?? String(value)
+        return escapeHtml(text.length > 80 ? `${text.substring(0, 79)}…` : text)
+    }
+
+    const items = changes.map(({ type, path, before, after, }) => {
+        const label = `<code class="diff-path">${escapeHtml(path || '(value)')}</code>`
+        switch (type) {
+            case 'added': {
+                return `<li class="diff-added">${label} added: <code>${format(after)}</code></li>`
+            }
+
+            case 'removed': {
+                return `<li class="diff-removed">${label} removed: <code>${format(before)}</code></li>`
+            }
+
+            default: {
+                return `<li class="diff-changed">${label}: <code>${format(before)}</code> → <code>${format(after)}</code></li>`
+            }
+        }
+    })
+
+    return `<ul class="diff-list">${items.join('')}</ul>`
+}
+
 /** Converts a buffer or buffer-like object to a string
  * @param {ArrayBuffer|Uint8Array|{type: string, data: number[]}|unknown} buffer - The buffer to convert
  * @returns {string} The decoded string or error message
  */
 function bufferToString(buffer) {
     try {
-        // Handle Node.js Buffer serialized as {type: 'Buffer', data: [...]}
-        if (buffer && typeof buffer === 'object' && buffer.type === 'Buffer' && Array.isArray(buffer.data)) {
-            return new TextDecoder().decode(new Uint8Array(buffer.data))
-        }
-        // Handle Uint8Array or ArrayBuffer
-        if (buffer instanceof Uint8Array) {
-            return new TextDecoder().decode(buffer)
-        }
-        if (buffer instanceof ArrayBuffer) {
-            return new TextDecoder().decode(new Uint8Array(buffer))
-        }
+        // Handles Node.js Buffers serialized as {type: 'Buffer', data: [...]}, Uint8Arrays and ArrayBuffers
+        const bytes = toBytes(buffer)
+        if (bytes) return new TextDecoder().decode(bytes)
         // Fallback: try to convert to string
         return String(buffer)
     } catch {
@@ -617,7 +1391,7 @@ function renderMqttV5Properties(msg) {
         properties.push(`
             <div class="mqtt-prop">
                 <span class="mqtt-prop-label">Correlation Data:</span>
-                <span class="mqtt-prop-value">${correlationStr}</span>
+                <span class="mqtt-prop-value">${escapeHtml(correlationStr)}</span>
             </div>
         `)
     }
@@ -647,7 +1421,7 @@ function renderMqttV5Properties(msg) {
         properties.push(`
             <div class="mqtt-prop">
                 <span class="mqtt-prop-label">Response Topic:</span>
-                <span class="mqtt-prop-value">${msg.responseTopic}</span>
+                <span class="mqtt-prop-value">${escapeHtml(msg.responseTopic)}</span>
             </div>
         `)
     }
@@ -657,7 +1431,7 @@ function renderMqttV5Properties(msg) {
         properties.push(`
             <div class="mqtt-prop">
                 <span class="mqtt-prop-label">Content Type:</span>
-                <span class="mqtt-prop-value">${msg.contentType}</span>
+                <span class="mqtt-prop-value">${escapeHtml(msg.contentType)}</span>
             </div>
         `)
     }
@@ -674,13 +1448,226 @@ function renderMqttV5Properties(msg) {
     `
 }
 
+/** Collects the paths of the numeric fields in a parsed payload
+ * @param {unknown} value - The parsed payload (or part of it)
+ * @param {string} [prefix] - Dot-notation path of `value` within the payload
+ * @param {string[]} [fields] - Accumulator for the field paths
+ * @returns {string[]} Dot-notation field paths. An empty string means the payload itself is numeric
+ */
+function getNumericFields(value, prefix = '', fields = []) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        fields.push(prefix)
+    } else if (value !== null && typeof value === 'object' && prefix.split('.').length <= MAX_CHART_FIELD_DEPTH) {
+        for (const [key, child] of Object.entries(value)) {
+            getNumericFields(child, prefix ? `${prefix}.${key}` : key, fields)
+        }
+    }
+    return fields
+}
+
+/** Gets a field from a parsed payload using a dot-notation path
+ * @param {unknown} value - The parsed payload
+ * @param {string} field - Dot-notation path, empty string for the payload itself
+ * @returns {unknown} The field value or undefined if not present
+ */
+function getFieldValue(value, field) {
+    if (!field) return value
+    return field.split('.').reduce((obj, key) => (obj !== null && typeof obj === 'object' ? obj[key] : undefined), value)
+}
+
+/** Builds a time series from a topic's message history
+ * @param {TopicMessage[]} messages - Message history, newest first
+ * @param {string} field - Dot-notation path of the field to plot, empty string for the payload itself
+ * @returns {Array<{time: number, value: number}>} Points in chronological order
+ */
+function buildChartSeries(messages, field) {
+    const points = []
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const value = getFieldValue(messages[i].parsed, field)
+        const time = Date.parse(messages[i].timestamp)
+        if (typeof value === 'number' && Number.isFinite(value) && !Number.isNaN(time)) {
+            points.push({ time, value, })
+        }
+    }
+
+    return points
+}
+
+/** Renders a time series as an SVG line chart
+ * @param {Array<{time: number, value: number}>} points - Points in chronological order
+ * @returns {string} SVG markup for the chart
+ */
+function renderLineChart(points) {
+    const width = 600
+    const height = 200
+    const pad = { top: 10, right: 10, bottom: 24, left: 60, }
+
+    const values = points.map(p => p.value)
+    const minTime = points[0].time
+    const timeSpan = (points[points.length - 1].time - minTime) || 1
+    let minValue = Math.min(...values)
+    let maxValue = Math.max(...values)
+    if (minValue === maxValue) {
+        // Flat line - give it some room so it is drawn mid-chart
+        minValue -= 1
+        maxValue += 1
+    }
+
+    const x = time => pad.left + ((time - minTime) / timeSpan) * (width - pad.left - pad.right)
+    const y = value => height - pad.bottom - ((value - minValue) / (maxValue - minValue)) * (height - pad.top - pad.bottom)
+
+    const label = value => String(Number(value.toPrecision(6)))
+
+    const line = points.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')
+    const dots = points.map(p => `
+        <circle class="chart-point" cx="${x(p.time).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="2.5">
+            <title>${new Date(p.time).toLocaleString()}: ${p.value}</title>
+        </circle>`).join('')
+
+    return `
+        <svg class="line-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Line chart of ${points.length} values from ${label(Math.min(...values))} to ${label(Math.max(...values))}">
+            <line class="chart-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" />
+            <line class="chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" />
+            <text class="chart-label" x="${pad.left - 4}" y="${pad.top + 8}" text-anchor="end">${label(maxValue)}</text>
+            <text class="chart-label" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">${label(minValue)}</text>
+            <text class="chart-label" x="${pad.left}" y="${height - 6}" text-anchor="start">${new Date(minTime).toLocaleTimeString()}</text>
+            <text class="chart-label" x="${width - pad.right}" y="${height - 6}" text-anchor="end">${new Date(points[points.length - 1].time).toLocaleTimeString()}</text>
+            <polyline class="chart-line" points="${line}" />
+            ${dots}
+        </svg>
+    `
+}
+
+/** Renders a time series as a small SVG line without axes or labels, for the watch list
+ * @param {Array<{time: number, value: number}>} points - Points in chronological order
+ * @returns {string} SVG markup for the sparkline
+ */
+function renderSparkline(points) {
+    const width = 120
+    const height = 28
+
+    const values = points.map(p => p.value)
+    const minTime = points[0].time
+    const timeSpan = (points[points.length - 1].time - minTime) || 1
+    const minValue = Math.min(...values)
+    const valueSpan = (Math.max(...values) - minValue) || 1
+
+    const line = points
+        .map(p => `${((p.time - minTime) / timeSpan * width).toFixed(1)},${(height - 2 - (p.value - minValue) / valueSpan * (height - 4)).toFixed(1)}`)
+        .join(' ')
+
+    return `
+        <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+            <polyline class="chart-line" points="${line}" />
+        </svg>
+    `
+}
+
+/** Selected chart field per topic, kept so live re-renders don't reset the picker
+ * @type {Map<string, string>}
+ */
+const chartFieldSelection = new Map()
+
+/** Whether the chart section is open - kept across live re-renders
+ * @type {boolean}
+ */
+let chartSectionOpen = true
+
+/** Creates the chart section for a topic with numeric data
+ * @param {TopicNode} node - Topic node to chart
+ * @param {string} topicPath - Full topic path
+ * @returns {HTMLDetailsElement|null} The chart section or null if the latest payload has nothing numeric
+ */
+function createChartSection(node, topicPath) {
+    const fields = getNumericFields(node.messages[0].parsed)
+    if (fields.length === 0) return null
+
+    let field = chartFieldSelection.get(topicPath)
+    if (!fields.includes(field)) field = fields[0]
+
+    const section = document.createElement('details')
+    section.className = 'chart-section'
+    section.open = chartSectionOpen
+    section.innerHTML = `<summary><h3>Chart</h3></summary>`
+    section.addEventListener('toggle', () => {
+        chartSectionOpen = section.open
+    })
+
+    // Field picker - only needed for JSON payloads
+    if (fields[0] !== '') {
+        const picker = document.createElement('div')
+        picker.className = 'form-group chart-field'
+        picker.innerHTML = `
+            <label for="chartField">Field</label>
+            <select id="chartField">
+                ${fields.map(f => `<option value="${escapeHtml(f)}" ${f === field ? 'selected' : ''}>${escapeHtml(f)}</option>`).join('')}
+            </select>
+        `
+        section.appendChild(picker)
+    }
+
+    const chartContainer = document.createElement('div')
+    chartContainer.className = 'chart-container'
+    section.appendChild(chartContainer)
+
+    const drawChart = () => {
+        const points = buildChartSeries(node.messages, field)
+        chartContainer.innerHTML = points.length > 1
+            ? renderLineChart(points)
+            : '<p class="no-messages">Not enough numeric values to draw a chart yet.</p>'
+    }
+
+    section.querySelector('#chartField')?.addEventListener('change', (event) => {
+        field = event.target.value
+        chartFieldSelection.set(topicPath, field)
+        drawChart()
+    })
+
+    drawChart()
+    return section
+}
+
+/** Renders a message's decoded payload
+ * Hex is shown as a hex dump with offsets and the printable characters, text as it is, images as an inline
+ * preview and anything else is syntax highlighted.
+ * @param {TopicMessage} msg - The stored message
+ * @returns {string} HTML string for the payload
+ */
+function renderDecodedPayload(msg) {
+    switch (msg.decoder) {
+        case 'hex': {
+            const bytes = toPayloadBytes(msg.payload)
+            const truncated = bytes.length > MAX_HEX_DUMP_BYTES
+                ? `<p class="no-messages">Showing the first ${MAX_HEX_DUMP_BYTES} of ${bytes.length} bytes.</p>`
+                : ''
+            return `<pre class="hex-dump">${escapeHtml(formatHexDump(bytes.subarray(0, MAX_HEX_DUMP_BYTES)))}</pre>${truncated}`
+        }
+
+        case 'text': {
+            return `<pre class="payload-text">${escapeHtml(msg.parsed)}</pre>`
+        }
+
+        case 'image': {
+            const bytes = toBytes(msg.payload)
+            if (bytes.length > MAX_IMAGE_PREVIEW_BYTES) return `<p class="no-messages">${escapeHtml(msg.parsed)} - too large to preview.</p>`
+            return `<img class="payload-image" src="data:${detectImageType(bytes)};base64,${bytesToBase64(bytes)}" alt="${escapeHtml(msg.parsed)}">`
+        }
+
+        default: {
+            return `<pre class="syntax-highlight">${uibuilder.syntaxHighlight(msg.parsed)}</pre>`
+        }
+    }
+}
+
 /** Renders a single message entry
  * @param {object} msg - The stored message object
  * @param {boolean} isOpen - Whether the details should be open
+ * @param {number} index - Position of the message in the history (0 = newest)
+ * @param {boolean} hasPrevious - Whether there is an older message to diff against
  * @returns {string} HTML string for the message entry
  */
-function renderMessageEntry(msg, isOpen) {
-    const parsedPayload = parsePayload(msg.payload)
+function renderMessageEntry(msg, isOpen, index, hasPrevious) {
     const timestamp = new Date(msg.timestamp).toLocaleString()
     const mqttPropsHtml = renderMqttV5Properties(msg)
 
@@ -688,45 +1675,203 @@ function renderMessageEntry(msg, isOpen) {
         <details class="message-entry" ${isOpen ? 'open' : ''}>
             <summary class="message-summary">
                 <span class="message-time">${timestamp}</span>
-                <span class="message-meta">QoS: ${msg.qos} | Retained: ${msg.retain}</span>
+                <span class="message-meta">QoS: ${msg.qos} | Retained: ${msg.retain} | ${PAYLOAD_DECODER_LABELS[msg.decoder] ?? 'JSON'}</span>
             </summary>
             <div class="message-content">
-                <pre class="syntax-highlight">${uibuilder.syntaxHighlight(parsedPayload)}</pre>
+                ${msg.decodeError ? `<p class="decode-error">${escapeHtml(msg.decodeError)}</p>` : ''}
+                ${renderDecodedPayload(msg)}
                 ${mqttPropsHtml}
+                <button type="button" class="republish-btn" data-index="${index}"
+                    title="Copy this message into the publish form">Edit &amp; republish</button>
+                ${hasPrevious
+                    ? `<details class="message-diff" data-index="${index}">
+                        <summary>Changes from previous message</summary>
+                        <div class="message-diff-content"></div>
+                    </details>`
+                    : ''}
             </div>
         </details>
     `
 }
 
+/** Creates the bar of data management actions for a topic
+ * @param {TopicNode} node - Topic node the actions apply to
+ * @param {string} topicPath - Full topic path
+ * @returns {HTMLDivElement} The actions bar element
+ */
+function createTopicActions(node, topicPath) {
+    const retainedCount = getRetainedTopics(node, topicPath).length
+    const topicDecoder = settings.overrides.find(override => override.filter === topicPath)?.payloadDecoder ?? ''
+    // The decoder the topic would get from the settings without its own override
+    const otherOverrides = settings.overrides.filter(override => override.filter !== topicPath)
+    const settingsDecoder = resolveTopicSettings({ ...settings, overrides: otherOverrides, }, topicPath).payloadDecoder
+    const actions = document.createElement('div')
+    actions.className = 'topic-actions'
+    actions.dataset.topic = topicPath
+    actions.innerHTML = `
+        <button type="button" data-action="clear-history" ${node.messages.length === 0 ? 'disabled' : ''}
+            title="Remove the stored messages for this topic">Clear history</button>
+        <button type="button" data-action="remove-topic"
+            title="Remove this topic${node.children.size > 0 ? ' and all of its sub-topics' : ''} from the explorer">
+            Remove topic${node.children.size > 0 ? ' and sub-topics' : ''}</button>
+        ${retainedCount > 0
+            ? `<button type="button" data-action="clear-retained"
+                title="Publish zero-length retained messages to clear the ${retainedCount} retained message(s) on the broker">
+                Clear retained (${retainedCount})</button>`
+            : ''}
+        <button type="button" data-action="export-topic" ${node.messages.length === 0 ? 'disabled' : ''}
+            title="Download this topic's message history">Export topic</button>
+        <button type="button" data-action="pin-topic" aria-pressed="${watchPins.includes(topicPath)}"
+            title="Show this topic's value in the watch list">Pin to watch list</button>
+        <label class="topic-decoder" title="How this topic's payloads are decoded for display and export">
+            Decode as
+            <select data-action="decode-as">${renderDecoderOptions(topicDecoder, `Settings (${PAYLOAD_DECODER_LABELS[settingsDecoder]})`)}</select>
+        </label>
+        ${node.children.size > 0
+            ? `<button type="button" data-action="export-subtree"
+                title="Download the message history of this topic and all of its sub-topics">Export subtree</button>`
+            : ''}
+    `
+    return actions
+}
+
+/** Messages in the history currently shown in the detail panel, newest first
+ * @type {TopicMessage[]}
+ */
+let shownHistory = []
+
+/** The two history entries last compared - kept so live re-renders keep showing the comparison
+ * @type {{topicPath: string, from: TopicMessage, to: TopicMessage}|null}
+ */
+let compareSelection = null
+
+/** Creates the controls for comparing any two history entries
+ * @param {string} topicPath - Full topic path
+ * @returns {HTMLDivElement} The compare controls and result container
+ */
+function createCompareControls(topicPath) {
+    // Restore the previous comparison if its messages are still in the history
+    let fromIndex = 1
+    let toIndex = 0
+    let restored = false
+    if (compareSelection?.topicPath === topicPath) {
+        const from = shownHistory.indexOf(compareSelection.from)
+        const to = shownHistory.indexOf(compareSelection.to)
+        if (from !== -1 && to !== -1) {
+            fromIndex = from
+            toIndex = to
+            restored = true
+        }
+    }
+
+    const options = selected => shownHistory.map((msg, i) => `
+        <option value="${i}" ${i === selected ? 'selected' : ''}>#${i + 1} - ${new Date(msg.timestamp).toLocaleString()}</option>`).join('')
+
+    const compare = document.createElement('div')
+    compare.className = 'history-compare'
+    compare.innerHTML = `
+        <div class="form-row">
+            <div class="form-group">
+                <label for="compareFrom">Compare</label>
+                <select id="compareFrom">${options(fromIndex)}</select>
+            </div>
+            <div class="form-group">
+                <label for="compareTo">with</label>
+                <select id="compareTo">${options(toIndex)}</select>
+            </div>
+            <button type="button" id="compareBtn">Compare</button>
+        </div>
+        <div class="compare-result"></div>
+    `
+
+    const showComparison = () => {
+        compare.querySelector('.compare-result').innerHTML = renderMessageDiff(compareSelection.from, compareSelection.to)
+    }
+
+    compare.querySelector('#compareBtn').addEventListener('click', () => {
+        compareSelection = {
+            topicPath,
+            from: shownHistory[compare.querySelector('#compareFrom').value],
+            to: shownHistory[compare.querySelector('#compareTo').value],
+        }
+        showComparison()
+    })
+
+    if (restored) showComparison()
+    return compare
+}
+
+/** Fills in the arrival statistics of a topic for the detail panel
+ * @param {HTMLElement} el - Element to fill
+ * @param {TopicNode} node - Topic node to display
+ * @param {string} topicPath - Full topic path
+ */
+function updateActivityInfo(el, node, topicPath) {
+    const { activity, } = node
+    const now = Date.now()
+    if (activity.lastTime === null) {
+        el.textContent = ''
+        return
+    }
+
+    const lastReceived = `${new Date(activity.lastTime).toLocaleTimeString()} (${formatDuration(now - activity.lastTime)} ago)`
+    const interval = activity.gapCount > 0
+        ? `avg ${formatDuration(activity.gapMean)}, min ${formatDuration(activity.gapMin)}, max ${formatDuration(activity.gapMax)}`
+        + `, σ ${formatDuration(Math.sqrt(activity.gapM2 / activity.gapCount))}`
+        : 'n/a'
+    const stale = isTopicStale(node, topicPath, now)
+
+    el.classList.toggle('stale', stale)
+    el.innerHTML = `<strong>Last received:</strong> ${lastReceived}${stale ? ' - <strong>stale</strong>' : ''}<br>`
+        + `<strong>Rate:</strong> ${getMessageRate(activity, now)} msgs/min<br>`
+        + `<strong>Interval:</strong> ${interval}`
+}
+
 /** Renders the detail panel for a selected topic
  * @param {TopicNode} node - Topic node to display
  * @param {string} topicPath - Full topic path
  */
 function renderDetailPanel(node, topicPath) {
+    // Keep anything being typed into the publish form, otherwise start from the latest message
+    const publishDraft = readPublishDraft(topicPath) ?? toPublishDraft(topicPath, node.messages[0])
+
     // Clear previous content
     elDetailContent.textContent = ''
 
     // Topic path
     const topicPathEl = document.createElement('p')
     topicPathEl.className = 'topic-path'
-    topicPathEl.innerHTML = `<strong>Topic:</strong> ${topicPath}`
+    topicPathEl.innerHTML = `<strong>Topic:</strong> ${escapeHtml(topicPath)}`
     elDetailContent.appendChild(topicPathEl)
+    elDetailContent.appendChild(createTopicActions(node, topicPath))
 
     if (node.messages.length === 0) {
         const noMessages = document.createElement('p')
         noMessages.className = 'no-messages'
-        noMessages.textContent = 'No messages received for this topic yet.'
+        noMessages.textContent = node.children.size > 0
+            ? `No messages received for this topic. It has ${node.children.size} sub-topic(s).`
+            : 'No messages received for this topic yet.'
         elDetailContent.appendChild(noMessages)
-        elDetailContent.appendChild(createPublishSection(topicPath))
+        elDetailContent.appendChild(createPublishSection(topicPath, publishDraft))
         return
     }
 
     // Message stats
     const statsEl = document.createElement('p')
     statsEl.className = 'message-stats'
-    statsEl.innerHTML = `<strong>Messages stored:</strong> ${node.messages.length} (max ${MAX_HISTORY_PER_TOPIC})`
+    statsEl.innerHTML = `<strong>Messages stored:</strong> ${node.messages.length} (max ${getTopicSetting(topicPath, 'maxHistoryPerTopic')}), ${node.received} received`
     elDetailContent.appendChild(statsEl)
 
+    // Arrival statistics, kept up to date by the activity refresh timer
+    const activityEl = document.createElement('p')
+    activityEl.className = 'message-stats topic-activity'
+    updateActivityInfo(activityEl, node, topicPath)
+    elDetailContent.appendChild(activityEl)
+
+    // Chart of numeric values over time (updated on every debounced render)
+    const chartSection = createChartSection(node, topicPath)
+    if (chartSection) elDetailContent.appendChild(chartSection)
+
     // Raw message section (collapsed by default, rendered on demand)
     // const rawSection = document.createElement('details')
     // rawSection.className = 'raw-message-section'
@@ -748,13 +1893,21 @@ function renderDetailPanel(node, topicPath) {
     historySection.open = true
     historySection.innerHTML = `<summary><h3>Message History</h3></summary>`
 
+    // Snapshot the history shown so that diffs and "show more" rendered later use the same messages
+    const history = node.messages.slice()
+    shownHistory = history
+    if (history.length > 1) historySection.appendChild(createCompareControls(topicPath))
+
     // Only render first few messages initially
-    const visibleMessages = node.messages.slice(0, MAX_VISIBLE_MESSAGES)
-    const hiddenCount = node.messages.length - MAX_VISIBLE_MESSAGES
+    const maxVisible = getTopicSetting(topicPath, 'maxVisibleMessages')
+    const visibleMessages = history.slice(0, maxVisible)
+    const hiddenCount = history.length - maxVisible
 
     const messagesContainer = document.createElement('div')
     messagesContainer.className = 'messages-container'
-    messagesContainer.innerHTML = visibleMessages.map((msg, i) => renderMessageEntry(msg, i === 0)).join('')
+    messagesContainer.innerHTML = visibleMessages
+        .map((msg, i) => renderMessageEntry(msg, i === 0, i, i < history.length - 1))
+        .join('')
     historySection.appendChild(messagesContainer)
 
     // Add "show more" button if there are hidden messages
@@ -763,35 +1916,138 @@ function renderDetailPanel(node, topicPath) {
         showMoreBtn.className = 'show-more-btn'
         showMoreBtn.textContent = `Show ${hiddenCount} more message(s)`
         showMoreBtn.addEventListener('click', () => {
-            const remainingMessages = node.messages.slice(MAX_VISIBLE_MESSAGES)
-            messagesContainer.innerHTML += remainingMessages.map((msg) => renderMessageEntry(msg, false)).join('')
+            const remainingMessages = history.slice(maxVisible)
+            messagesContainer.innerHTML += remainingMessages
+                .map((msg, i) => renderMessageEntry(msg, false, maxVisible + i, maxVisible + i < history.length - 1))
+                .join('')
             showMoreBtn.remove()
         }, { once: true })
         historySection.appendChild(showMoreBtn)
     }
 
     elDetailContent.appendChild(historySection)
-    elDetailContent.appendChild(createPublishSection(topicPath))
+    elDetailContent.appendChild(createPublishSection(topicPath, publishDraft))
 }
 
+/** @typedef {object} PublishDraft
+ * @property {string} topicPath - Topic whose detail panel the draft belongs to
+ * @property {boolean} open - Whether the publish section is expanded
+ * @property {string} topic - Topic to publish to
+ * @property {PayloadType} type - How the value is turned into the payload
+ * @property {string} value - The value as entered
+ * @property {number} qos - MQTT Quality of Service level
+ * @property {boolean} retain - Whether the broker should retain the message
+ * @property {PublishPropertiesDraft} properties - MQTT v5 properties as entered
+ * @property {string} presetId - Id of the chosen preset, blank for none
+ * @property {string} presetName - Name to save the preset as
+ * @property {boolean} historyOpen - Whether the publish history is expanded
+ */
+
+/** @typedef {object} PublishPropertiesDraft
+ * @property {boolean} open - Whether the properties are expanded
+ * @property {string} contentType - Content type, blank to leave out
+ * @property {string} responseTopic - Response topic, blank to leave out
+ * @property {string} correlationData - Correlation data as text, blank to leave out
+ * @property {string} messageExpiryInterval - Message expiry interval (s), blank to leave out
+ * @property {Array<[string, string]>} userProperties - User property names and values, names may repeat
+ */
+
 /** Creates the publish section element
- * @param {string} topicPath - The topic path to pre-fill
+ * @param {string} topicPath - The topic path the section is shown for
+ * @param {PublishDraft} draft - Initial content of the form
  * @returns {HTMLDetailsElement} The publish section element
  */
-function createPublishSection(topicPath) {
+function createPublishSection(topicPath, draft) {
     const section = document.createElement('details')
     section.className = 'publish-section'
+    section.dataset.topic = topicPath
+    section.open = draft.open
+    const v3Note = getActiveProfile()?.protocolVersion === 5
+        ? ''
+        : '<p class="publish-properties-note">The active broker profile uses MQTT 3.1.1. These properties are only sent over MQTT 5 connections.</p>'
+    const variables = Object.keys(PUBLISH_VARIABLES)
+        .map(name => `<code>{{${name}}}</code>`)
+        .join(' ')
     section.innerHTML = `
         <summary><h3>Publish</h3></summary>
         <div class="publish-form">
+            <div class="form-row publish-presets">
+                <div class="form-group">
+                    <label for="publishPreset">Preset</label>
+                    <select id="publishPreset">${renderPublishPresetOptions(draft.presetId)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="publishPresetName">Save as</label>
+                    <input type="text" id="publishPresetName" placeholder="Preset name" />
+                </div>
+                <button type="button" id="publishPresetSaveBtn" title="Save the form as a preset">Save</button>
+                <button type="button" id="publishPresetDeleteBtn" title="Delete the chosen preset">Delete</button>
+            </div>
             <div class="form-group">
                 <label for="publishTopic">Topic</label>
-                <input type="text" id="publishTopic" value="${topicPath}" />
+                <input type="text" id="publishTopic" value="${escapeHtml(draft.topic)}" />
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="publishType">Payload type</label>
+                    <select id="publishType">
+                        <option value="string">String</option>
+                        <option value="number">Number</option>
+                        <option value="boolean">Boolean</option>
+                        <option value="json">JSON</option>
+                        <option value="base64">Binary (base64)</option>
+                    </select>
+                </div>
+                <button type="button" id="publishFormatBtn" title="Pretty-print the JSON value">Format</button>
             </div>
             <div class="form-group">
                 <label for="publishValue">Value</label>
-                <textarea id="publishValue" rows="4"></textarea>
+                <div class="payload-editor">
+                    <pre class="payload-editor-highlight" aria-hidden="true"></pre>
+                    <textarea id="publishValue" rows="6" spellcheck="false" aria-describedby="publishValueError"></textarea>
+                </div>
+                <div id="publishValueError" class="payload-error" aria-live="polite"></div>
+                <p class="publish-variables-hint">Variables: ${variables}</p>
             </div>
+            <details class="mqtt-v5-properties publish-properties">
+                <summary><h4>MQTT v5 Properties</h4></summary>
+                <div class="mqtt-v5-properties-content">
+                    ${v3Note}
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="publishContentType">Content type</label>
+                            <input type="text" id="publishContentType" placeholder="e.g. application/json" />
+                        </div>
+                        <div class="form-group">
+                            <label for="publishExpiry">Message expiry (s)</label>
+                            <input type="number" id="publishExpiry" min="0" max="${MAX_MESSAGE_EXPIRY_INTERVAL}" />
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="publishResponseTopic">Response topic</label>
+                            <input type="text" id="publishResponseTopic" />
+                        </div>
+                        <div class="form-group">
+                            <label for="publishCorrelationData">Correlation data</label>
+                            <input type="text" id="publishCorrelationData" />
+                        </div>
+                    </div>
+                    <table class="user-properties">
+                        <caption>User properties</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">Name</th>
+                                <th scope="col">Value</th>
+                                <th scope="col"><span class="visually-hidden">Remove</span></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <button type="button" id="publishAddUserPropertyBtn">Add user property</button>
+                    <div id="publishPropertiesError" class="payload-error" aria-live="polite"></div>
+                </div>
+            </details>
             <div class="form-row">
                 <div class="form-group">
                     <label for="publishQos">QoS</label>
@@ -809,77 +2065,3340 @@ function createPublishSection(topicPath) {
                 </div>
                 <button type="button" id="publishBtn" class="publish-btn">Publish</button>
             </div>
+            <details class="publish-history">
+                <summary><h4>Recent publishes (${publishHistory.length})</h4></summary>
+                <ul class="publish-history-list">${renderPublishHistory()}</ul>
+            </details>
         </div>
     `
+    fillPublishForm(section, draft)
     return section
 }
 
-// #endregion
-
-// #region --- Event Handlers ---
+/** Fills in the publish form
+ * @param {HTMLElement} section - The publish section
+ * @param {PublishDraft} draft - Content of the form
+ */
+function fillPublishForm(section, draft) {
+    const { properties, } = draft
+
+    section.querySelector('#publishTopic').value = draft.topic
+    section.querySelector('#publishType').value = draft.type
+    section.querySelector('#publishValue').value = draft.value
+    section.querySelector('#publishQos').value = draft.qos
+    section.querySelector('#publishRetain').checked = draft.retain
+    section.querySelector('#publishPreset').value = draft.presetId
+    section.querySelector('#publishPresetName').value = draft.presetName
+    section.querySelector('.publish-history').open = draft.historyOpen
+
+    section.querySelector('.publish-properties').open = properties.open
+    section.querySelector('#publishContentType').value = properties.contentType
+    section.querySelector('#publishResponseTopic').value = properties.responseTopic
+    section.querySelector('#publishCorrelationData').value = properties.correlationData
+    section.querySelector('#publishExpiry').value = properties.messageExpiryInterval
+    const userProperties = section.querySelector('.user-properties tbody')
+    userProperties.textContent = ''
+    for (const [name, value] of properties.userProperties) addUserPropertyRow(userProperties, name, value)
+
+    updatePayloadEditor(section)
+    updatePublishProperties(section)
+}
 
-// Event delegation for publish button
-elDetailContent.addEventListener('click', (event) => {
-    if (event.target.id !== 'publishBtn') return
+/** Adds a row to the publish form's user properties
+ * @param {HTMLTableSectionElement} tbody - Body of the user properties table
+ * @param {string} [name] - Property name
+ * @param {string} [value] - Property value
+ */
+function addUserPropertyRow(tbody, name = '', value = '') {
+    const row = document.createElement('tr')
+    row.innerHTML = `
+        <td><input type="text" data-key="name" aria-label="User property name" value="${escapeHtml(name)}"></td>
+        <td><input type="text" data-key="value" aria-label="User property value" value="${escapeHtml(value)}"></td>
+        <td><button type="button" class="remove-user-property" aria-label="Remove user property">✕</button></td>
+    `
+    tbody.appendChild(row)
+}
 
-    const cmd = 'publish'
-    const topic = document.getElementById('publishTopic').value.trim()
-    const value = document.getElementById('publishValue').value
-    const qos = parseInt(document.getElementById('publishQos').value, 10)
-    const retain = document.getElementById('publishRetain').checked
+/** Reads the MQTT v5 properties from the publish form
+ * @param {HTMLElement} section - The publish section
+ * @returns {PublishPropertiesDraft} The properties as entered
+ */
+function readPublishProperties(section) {
+    return {
+        open: section.querySelector('.publish-properties').open,
+        contentType: section.querySelector('#publishContentType').value,
+        responseTopic: section.querySelector('#publishResponseTopic').value,
+        correlationData: section.querySelector('#publishCorrelationData').value,
+        messageExpiryInterval: section.querySelector('#publishExpiry').value,
+        userProperties: [...section.querySelectorAll('.user-properties tbody tr')].map(row => [
+            row.querySelector('[data-key="name"]').value,
+            row.querySelector('[data-key="value"]').value,
+        ]),
+    }
+}
+
+/** Validates the MQTT v5 properties in the publish form
+ * @param {HTMLElement} section - The publish section
+ * @returns {boolean} True if the properties can be published
+ */
+function updatePublishProperties(section) {
+    const error = section.querySelector('#publishPropertiesError')
+
+    try {
+        const properties = readPublishProperties(section)
+        const topic = section.querySelector('#publishTopic').value.trim()
+        parsePublishProperties({
+            ...properties,
+            correlationData: expandPublishVariables(properties.correlationData, topic),
+        })
+    } catch (err) {
+        error.textContent = err.message
+        return false
+    }
+
+    error.textContent = ''
+    return true
+}
+
+/** Reads the publish form if it is showing a draft for a topic
+ * @param {string} topicPath - Topic whose detail panel is being rendered
+ * @returns {PublishDraft|null} The draft or null if the form is not showing one for the topic
+ */
+function readPublishDraft(topicPath) {
+    const section = elDetailContent.querySelector('.publish-section')
+    if (!section || section.dataset.topic !== topicPath) return null
+
+    return {
+        topicPath,
+        open: section.open,
+        topic: section.querySelector('#publishTopic').value,
+        type: section.querySelector('#publishType').value,
+        value: section.querySelector('#publishValue').value,
+        qos: Number(section.querySelector('#publishQos').value),
+        retain: section.querySelector('#publishRetain').checked,
+        properties: readPublishProperties(section),
+        presetId: section.querySelector('#publishPreset').value,
+        presetName: section.querySelector('#publishPresetName').value,
+        historyOpen: section.querySelector('.publish-history').open,
+    }
+}
+
+/** Regex matching the tokens of JSON text that are highlighted - strings (and keys), numbers, true, false and null
+ * @type {RegExp}
+ */
+const JSON_TOKEN_PATTERN = /("(?:\\.|[^"\\\n])*"?)(\s*:)?|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\b(?:true|false|null)\b/g
+
+/** Highlights JSON text, keeping it exactly as typed so that it lines up with the editor
+ * @param {string} text - JSON text, which may be invalid
+ * @returns {string} HTML with the tokens wrapped in spans
+ */
+function highlightJsonText(text) {
+    let html = ''
+    let last = 0
+
+    for (const match of text.matchAll(JSON_TOKEN_PATTERN)) {
+        html += escapeHtml(text.slice(last, match.index))
+
+        let className = 'json-number'
+        if (match[1] !== undefined) {
+            className = match[2] ? 'json-key' : 'json-string'
+        } else if (match[0] === 'true' || match[0] === 'false') {
+            className = 'json-boolean'
+        } else if (match[0] === 'null') {
+            className = 'json-null'
+        }
+        html += `<span class="${className}">${escapeHtml(match[1] ?? match[0])}</span>${escapeHtml(match[2] ?? '')}`
+
+        last = match.index + match[0].length
+    }
+
+    // A trailing newline needs something after it to take up a line, as it does in the textarea
+    return `${html}${escapeHtml(text.slice(last))}\n`
+}
+
+/** Validates and highlights the value in the publish form
+ * @param {HTMLElement} section - The publish section
+ * @returns {boolean} True if the value can be published as the chosen payload type
+ */
+function updatePayloadEditor(section) {
+    const type = section.querySelector('#publishType').value
+    const input = section.querySelector('#publishValue')
+    const highlight = section.querySelector('.payload-editor-highlight')
+    const error = section.querySelector('#publishValueError')
+    const isJson = type === 'json'
+
+    section.querySelector('.payload-editor').classList.toggle('payload-editor--json', isJson)
+    section.querySelector('#publishFormatBtn').disabled = !isJson
+    highlight.innerHTML = isJson ? highlightJsonText(input.value) : ''
+    highlight.scrollTop = input.scrollTop
+
+    try {
+        const topic = section.querySelector('#publishTopic').value.trim()
+        parsePublishValue(type, expandPublishVariables(input.value, topic))
+    } catch (err) {
+        error.textContent = err.message
+        input.setAttribute('aria-invalid', 'true')
+        return false
+    }
+
+    error.textContent = ''
+    input.removeAttribute('aria-invalid')
+    return true
+}
+
+/** Pretty-prints the JSON value in the publish form, if it is valid
+ * @param {HTMLElement} section - The publish section
+ */
+function formatPublishValue(section) {
+    if (!updatePayloadEditor(section)) return
+
+    // A value with variables outside of strings is only valid JSON once they are worked out
+    const input = section.querySelector('#publishValue')
+    try {
+        input.value = JSON.stringify(JSON.parse(input.value), null, 2)
+    } catch {
+        return
+    }
+    updatePayloadEditor(section)
+}
+
+/** Copies a message into the publish form so that it can be edited and republished
+ * @param {TopicMessage} msg - The message to copy
+ */
+function loadIntoPublishForm(msg) {
+    const section = elDetailContent.querySelector('.publish-section')
+    if (!section || !msg) return
+
+    const { presetId, presetName, historyOpen, } = readPublishDraft(section.dataset.topic)
+    fillPublishForm(section, { ...toPublishDraft(section.dataset.topic, msg), presetId, presetName, historyOpen, })
+
+    section.open = true
+    section.scrollIntoView({ block: 'nearest', })
+    section.querySelector('#publishValue').focus()
+}
+
+// #endregion
+
+// #region --- Topic Filtering ---
+
+/** @typedef {object} TopicFilterState
+ * @property {string} pattern - Raw filter text as entered
+ * @property {string} mode - Filter mode: 'auto', 'text', 'wildcard' or 'regex'
+ * @property {number} changedWithin - Only match topics that received a message in this many seconds, 0 for any time
+ * @property {boolean} retainedOnly - Only match topics whose current value is a retained message
+ * @property {function(string): boolean|null} matcher - Compiled matcher, null when no filter is active
+ * @property {Set<string>} matches - Topic paths that match the filter
+ * @property {Set<string>} ancestors - Topic paths that lead to a match
+ */
+
+/** Current topic filter state
+ * @type {TopicFilterState}
+ */
+const topicFilter = {
+    pattern: '',
+    mode: 'auto',
+    changedWithin: 0,
+    retainedOnly: false,
+    matcher: null,
+    matches: new Set(),
+    ancestors: new Set(),
+}
+
+/** Pending filter input timeout ID
+ * @type {number|null}
+ */
+let filterTimeout = null
+
+/** Compiles a filter pattern into a topic path matcher
+ * In 'auto' mode, `/…/flags` is treated as a regex, a pattern containing a `+` or `#`
+ * level as an MQTT wildcard filter and anything else as a case-insensitive substring.
+ * @param {string} pattern - The filter pattern
+ * @param {string} mode - 'auto', 'text', 'wildcard' or 'regex'
+ * @returns {function(string): boolean|null} Matcher function or null if the pattern is empty
+ * @throws {SyntaxError} If the pattern is not a valid regular expression in regex mode
+ */
+function compileTopicMatcher(pattern, mode) {
+    if (!pattern) return null
+
+    let effectiveMode = mode
+    if (mode === 'auto') {
+        if (/^\/.+\/[a-z]*$/.test(pattern)) {
+            effectiveMode = 'regex'
+        } else if (/(^|\/)[+#](\/|$)/.test(pattern)) {
+            effectiveMode = 'wildcard'
+        } else {
+            effectiveMode = 'text'
+        }
+    }
+
+    switch (effectiveMode) {
+        case 'regex': {
+            const literal = pattern.match(/^\/(.+)\/([a-z]*)$/)
+            // Stateful flags would make `test()` skip matches on repeated calls
+            const regex = literal
+                ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+                : new RegExp(pattern, 'i')
+            return topicPath => regex.test(topicPath)
+        }
+
+        case 'wildcard': {
+            return topicPath => mqttTopicMatches(pattern, topicPath)
+        }
+
+        default: {
+            const needle = pattern.toLowerCase()
+            return topicPath => topicPath.toLowerCase().includes(needle)
+        }
+    }
+}
+
+/** Creates a matcher for topics that have received a message recently
+ * The cut-off moves on with time, so matches expire - see `expireTopicFilterMatches()`.
+ * @param {number} seconds - How recent the latest message must be (s)
+ * @returns {function(string): boolean|null} Matcher function or null if `seconds` is 0
+ */
+function compileChangedMatcher(seconds) {
+    if (!seconds) return null
+
+    return (topicPath) => {
+        const lastTime = getTopicNode(topicPath.split('/'))?.activity.lastTime ?? null
+        return lastTime !== null && Date.now() - lastTime <= seconds * 1000
+    }
+}
+
+/** Creates a matcher for topics whose current value is a retained message
+ * Matches expire when a topic receives a message that is not retained - see `expireTopicFilterMatches()`.
+ * @param {boolean} retainedOnly - Whether to match only retained topics
+ * @returns {function(string): boolean|null} Matcher function or null if `retainedOnly` is false
+ */
+function compileRetainedMatcher(retainedOnly) {
+    if (!retainedOnly) return null
+
+    return topicPath => getTopicNode(topicPath.split('/'))?.messages[0]?.retain === true
+}
+
+/** Tests a topic path and its ancestors against the active filter, recording any matches
+ * @param {string} topicPath - Full topic path
+ */
+function recordFilterMatches(topicPath) {
+    const topicParts = topicPath.split('/')
+
+    for (let i = 1; i <= topicParts.length; i++) {
+        const path = topicParts.slice(0, i).join('/')
+        if (topicFilter.matches.has(path) || !topicFilter.matcher(path)) continue
+
+        topicFilter.matches.add(path)
+        for (let j = 1; j < i; j++) {
+            topicFilter.ancestors.add(topicParts.slice(0, j).join('/'))
+        }
+    }
+}
+
+/** Sets a new filter pattern, re-evaluating the whole topic store
+ * @param {string} pattern - The filter pattern
+ * @param {string} mode - 'auto', 'text', 'wildcard' or 'regex'
+ * @param {number} [changedWithin] - Only match topics that received a message in this many seconds, 0 for any time
+ * @param {boolean} [retainedOnly] - Only match topics whose current value is a retained message
+ */
+function setTopicFilter(pattern, mode, changedWithin = topicFilter.changedWithin, retainedOnly = topicFilter.retainedOnly) {
+    const wasActive = topicFilter.matcher !== null
+
+    topicFilter.pattern = pattern
+    topicFilter.mode = mode
+    topicFilter.changedWithin = changedWithin
+    topicFilter.retainedOnly = retainedOnly
+    topicFilter.matches.clear()
+    topicFilter.ancestors.clear()
+    elTopicSearch.removeAttribute('aria-invalid')
+
+    try {
+        // A topic must pass all of the active parts of the filter
+        const matchers = [
+            compileTopicMatcher(pattern, mode),
+            compileChangedMatcher(changedWithin),
+            compileRetainedMatcher(retainedOnly),
+        ].filter(Boolean)
+        topicFilter.matcher = matchers.length > 0
+            ? topicPath => matchers.every(matcher => matcher(topicPath))
+            : null
+    } catch (err) {
+        topicFilter.matcher = null
+        elTopicSearch.setAttribute('aria-invalid', 'true')
+        elTopicSearchStatus.textContent = `Invalid pattern: ${err.message}`
+        if (wasActive) applyTopicFilterToRows()
+        return
+    }
+
+    if (topicFilter.matcher) {
+        walkTopicStore((topicPath) => {
+            if (topicFilter.matcher(topicPath)) {
+                topicFilter.matches.add(topicPath)
+                const topicParts = topicPath.split('/')
+                for (let i = 1; i < topicParts.length; i++) {
+                    topicFilter.ancestors.add(topicParts.slice(0, i).join('/'))
+                }
+            }
+        })
+    }
+
+    if (topicFilter.matcher || wasActive) applyTopicFilterToRows()
+    updateFilterStatus()
+}
+
+/** Updates the filter status text */
+function updateFilterStatus() {
+    if (!topicFilter.matcher) {
+        elTopicSearchStatus.textContent = ''
+        return
+    }
+
+    const count = topicFilter.matches.size
+    elTopicSearchStatus.textContent = count > MAX_FILTER_AUTO_EXPAND
+        ? `${count} matching topic(s) - too many to expand automatically`
+        : `${count} matching topic(s)`
+}
+
+/** Shows only the rows allowed by the active filter
+ * Ancestors of matches are expanded so that matches in collapsed branches become visible.
+ * Descendants of a matching branch are always shown.
+ */
+function applyTopicFilterToRows() {
+    if (topicFilter.matcher && topicFilter.matches.size <= MAX_FILTER_AUTO_EXPAND) {
+        for (const topicPath of topicFilter.ancestors) {
+            treeView.expanded.add(topicPath)
+        }
+    }
+
+    rebuildTopicRows()
+    refreshRenderedRows()
+}
+
+/** Applies the active filter to topics that have just been updated
+ * @param {Set<string>} topicPaths - Updated topic paths
+ */
+function updateTopicFilter(topicPaths) {
+    if (!topicFilter.matcher) return
+
+    const matchCount = topicFilter.matches.size
+    for (const topicPath of topicPaths) {
+        recordFilterMatches(topicPath)
+    }
+
+    // Only new matches change which rows are shown
+    if (topicFilter.matches.size !== matchCount) applyTopicFilterToRows()
+    updateFilterStatus()
+}
+
+/** Re-evaluates the filter if any of its matches are no longer recent enough for the "changed within" filter
+ * or no longer retained for the "retained only" filter
+ */
+function expireTopicFilterMatches() {
+    if (!topicFilter.changedWithin && !topicFilter.retainedOnly) return
+
+    for (const topicPath of topicFilter.matches) {
+        if (!topicFilter.matcher(topicPath)) {
+            setTopicFilter(topicFilter.pattern, topicFilter.mode)
+            return
+        }
+    }
+}
+
+// #endregion
+
+// #region --- Deep Links ---
+
+/** What a URL hash links to, e.g. `#topic=plant/line3/press/temp&filter=plant/%23&mode=wildcard`
+ * @typedef {object} DeepLink
+ * @property {string|null} topic - Topic to select, null for none
+ * @property {string} filter - Topic filter pattern, blank for none
+ * @property {string} mode - Topic filter mode
+ */
+
+/** The URL hash last applied or written, so that our own changes to it are not applied again
+ * @type {string}
+ */
+let appliedUrlHash = ''
+
+/** Linked topic that has not arrived yet, it is selected as soon as it does
+ * @type {string|null}
+ */
+let pendingDeepLink = null
+
+/** Encodes a value for the URL hash, keeping the topic levels readable
+ * @param {string} value - The value
+ * @returns {string} The encoded value
+ */
+function encodeHashValue(value) {
+    return encodeURIComponent(value).replaceAll('%2F', '/')
+}
+
+/** Reads a deep link from a URL hash
+ * Hashes that are not deep links (e.g. routes) are ignored.
+ * @param {string} hash - The URL hash, with or without the leading `#`
+ * @returns {DeepLink|null} The link, null if the hash is not a deep link
+ */
+function parseUrlHash(hash) {
+    const params = new Map()
+    for (const param of hash.replace(/^#/, '').split('&')) {
+        const separator = param.indexOf('=')
+        if (separator === -1) continue
+        // Not URLSearchParams, it would turn the `+` wildcard into a space
+        params.set(param.slice(0, separator), decodeURIComponent(param.slice(separator + 1)))
+    }
+    if (!params.has('topic') && !params.has('filter')) return null
+
+    // Only the filter modes offered by the mode selector, a hand-edited or stale link falls back to auto
+    const mode = params.get('mode')
+    const knownMode = [...elTopicSearchMode.options].some(option => option.value === mode)
+
+    return {
+        topic: params.get('topic') || null,
+        filter: params.get('filter') ?? '',
+        mode: knownMode ? mode : 'auto',
+    }
+}
+
+/** Creates the URL hash for a deep link
+ * @param {DeepLink} link - The link
+ * @returns {string} The URL hash, blank if there is nothing to link to
+ */
+function formatUrlHash(link) {
+    const params = []
+    if (link.topic) params.push(`topic=${encodeHashValue(link.topic)}`)
+    if (link.filter) params.push(`filter=${encodeHashValue(link.filter)}`)
+    if (link.filter && link.mode !== 'auto') params.push(`mode=${link.mode}`)
+
+    return params.length > 0 ? `#${params.join('&')}` : ''
+}
+
+/** Updates the URL hash to link to the selected topic and the active filter
+ * The hash is set (rather than replaced) so that uibuilder's hash tracking sees it and Back returns to the previous topic.
+ * An empty link is removed with `history.replaceState()` instead, as setting an empty hash leaves a trailing `#`.
+ */
+function updateUrlHash() {
+    const hash = formatUrlHash({
+        topic: treeView.selected,
+        filter: topicFilter.pattern,
+        mode: topicFilter.mode,
+    })
+    if (hash === appliedUrlHash) return
+
+    appliedUrlHash = hash
+    if (hash) {
+        location.hash = hash
+    } else {
+        history.replaceState(null, '', location.pathname + location.search)
+    }
+}
+
+/** Applies a deep link from the URL hash - sets the filter and selects the topic
+ * @param {string} hash - The URL hash, with or without the leading `#`
+ */
+function applyUrlHash(hash) {
+    hash = hash ? `#${hash.replace(/^#/, '')}` : ''
+    if (hash === appliedUrlHash) return
+    appliedUrlHash = hash
+
+    let link
+    try {
+        link = parseUrlHash(hash)
+    } catch (err) {
+        console.warn('[mqtt-explorer] Ignoring invalid URL hash:', hash, err.message)
+        return
+    }
+    if (!link) return
+
+    if (link.filter !== topicFilter.pattern || link.mode !== topicFilter.mode) {
+        elTopicSearch.value = link.filter
+        elTopicSearchMode.value = link.mode
+        setTopicFilter(link.filter, link.mode)
+    }
+
+    if (link.topic) revealTopic(link.topic)
+}
+
+/** Selects a topic, expanding its ancestors and scrolling it into view
+ * If the topic has not arrived yet, it is selected once it does.
+ * @param {string} topicPath - Full topic path
+ */
+function revealTopic(topicPath) {
+    if (!getTopicNode(topicPath.split('/'))) {
+        // Deselect the current topic so that its updates don't replace the waiting message
+        const previous = treeView.selected
+        treeView.selected = null
+        if (previous) refreshTopicRow(previous)
+
+        pendingDeepLink = topicPath
+        elDetailContent.textContent = `Waiting for a message on "${topicPath}"…`
+        return
+    }
+
+    const topicParts = topicPath.split('/')
+    for (let i = 1; i < topicParts.length; i++) {
+        expandTopic(topicParts.slice(0, i).join('/'))
+    }
+
+    selectTopic(topicPath)
+    if (treeView.rowSet.has(topicPath)) {
+        treeView.focused = topicPath
+        scrollTopicRowIntoView(topicPath)
+        renderVisibleRows()
+    }
+}
+
+/** Selects the linked topic if it has arrived */
+function revealPendingDeepLink() {
+    if (pendingDeepLink && getTopicNode(pendingDeepLink.split('/'))) revealTopic(pendingDeepLink)
+}
+
+// #endregion
+
+// #region --- Watch List ---
+
+/** Pinned topics and topic filters, in the order they were pinned
+ * @type {string[]}
+ */
+let watchPins = []
+
+/** Topics matching any of the pins, including those not shown because a pin has too many
+ * @type {Set<string>}
+ */
+const watchedTopics = new Set()
+
+/** Loads the pinned topics and shows them */
+function loadWatchList() {
+    watchPins = uibuilder.getStore(STORE_KEY_WATCH_LIST) ?? []
+    renderWatchList()
+}
+
+/** Pins a topic or topic filter to the watch list
+ * @param {string} filter - Topic or MQTT topic filter
+ * @returns {boolean} True if the filter is pinned
+ */
+function pinTopicAction(filter) {
+    if (!isValidTopicFilter(filter)) {
+        alert(`"${filter}" is not a valid topic or MQTT topic filter`)
+        return false
+    }
+
+    if (!watchPins.includes(filter)) {
+        watchPins.push(filter)
+        uibuilder.setStore(STORE_KEY_WATCH_LIST, watchPins)
+        renderWatchList()
+    }
+    return true
+}
+
+/** Removes a topic or topic filter from the watch list
+ * @param {string} filter - The pinned topic or MQTT topic filter
+ */
+function unpinTopicAction(filter) {
+    watchPins = watchPins.filter(pin => pin !== filter)
+    uibuilder.setStore(STORE_KEY_WATCH_LIST, watchPins)
+    renderWatchList()
+}
+
+/** Finds the topics matching a pin
+ * @param {string} filter - The pinned topic or MQTT topic filter
+ * @returns {string[]} Topic paths in tree display order
+ */
+function findWatchedTopics(filter) {
+    if (!filter.includes('+') && !filter.includes('#')) {
+        return getTopicNode(filter.split('/')) ? [filter] : []
+    }
+
+    const topicPaths = []
+    walkTopicStore((topicPath) => {
+        if (mqttTopicMatches(filter, topicPath)) topicPaths.push(topicPath)
+    })
+    return topicPaths.sort(compareTopicPaths)
+}
+
+/** Fills a watch list item with a topic's current value, last update and sparkline
+ * @param {HTMLElement} item - The item element
+ * @param {TopicNode} node - The topic node data
+ * @param {number} now - The current time (ms since the epoch)
+ */
+function updateWatchItem(item, node, now) {
+    const topicPath = item.dataset.topicPath
+    const latest = node.messages[0]
+    // JSON payloads show and plot their first numeric field, e.g. `battery` in `{"battery": 87}`
+    const field = latest ? getNumericFields(latest.parsed)[0] : undefined
+
+    let value = 'No value'
+    if (latest && isSimpleValue(latest.parsed)) {
+        value = formatValuePreview(latest.parsed, getTopicSetting(topicPath, 'maxValuePreviewLength'))
+    } else if (latest) {
+        value = field === undefined ? '{…}' : `${field}: ${getFieldValue(latest.parsed, field)}`
+    }
+    item.querySelector('.watch-value').textContent = value
+    item.classList.toggle('stale', isTopicStale(node, topicPath, now))
+
+    const lastTime = node.activity.lastTime
+    const time = item.querySelector('.watch-time')
+    time.textContent = lastTime === null ? '' : `${formatDuration(now - lastTime)} ago`
+    time.title = latest ? new Date(latest.timestamp).toLocaleString() : ''
+
+    const points = field === undefined ? [] : buildChartSeries(node.messages, field)
+    item.querySelector('.watch-sparkline').innerHTML = points.length > 1 ? renderSparkline(points) : ''
+}
+
+/** Creates a watch list item for a topic
+ * @param {string} topicPath - Full topic path
+ * @param {TopicNode} node - The topic node data
+ * @param {number} now - The current time (ms since the epoch)
+ * @returns {HTMLLIElement} The item element
+ */
+function createWatchItem(topicPath, node, now) {
+    const item = document.createElement('li')
+    item.className = 'watch-item'
+    item.dataset.topicPath = topicPath
+    item.innerHTML = `
+        <button type="button" class="watch-topic" title="Show ${escapeHtml(topicPath)} in the details panel">${escapeHtml(topicPath)}</button>
+        <span class="watch-value"></span>
+        <span class="watch-sparkline"></span>
+        <span class="watch-time"></span>
+    `
+    updateWatchItem(item, node, now)
+    return item
+}
+
+/** Renders the whole watch list, finding the topics that match each pin */
+function renderWatchList() {
+    const now = Date.now()
+    watchedTopics.clear()
+    elWatchCount.textContent = `${watchPins.length}`
+    elWatchList.textContent = ''
+
+    for (const pin of watchPins) {
+        const topicPaths = findWatchedTopics(pin)
+        for (const topicPath of topicPaths) watchedTopics.add(topicPath)
+
+        const group = document.createElement('li')
+        group.className = 'watch-pin'
+        group.innerHTML = `
+            <div class="watch-pin-header">
+                <code>${escapeHtml(pin)}</code>
+                <button type="button" data-unpin="${escapeHtml(pin)}" aria-label="Unpin ${escapeHtml(pin)}">Unpin</button>
+            </div>
+            <ul class="watch-items"></ul>
+        `
+
+        const items = group.querySelector('.watch-items')
+        for (const topicPath of topicPaths.slice(0, MAX_WATCH_TOPICS_PER_PIN)) {
+            items.appendChild(createWatchItem(topicPath, getTopicNode(topicPath.split('/')), now))
+        }
+        if (topicPaths.length === 0) {
+            items.innerHTML = '<li class="no-messages">No matching topics yet.</li>'
+        } else if (topicPaths.length > MAX_WATCH_TOPICS_PER_PIN) {
+            items.insertAdjacentHTML('beforeend', `<li class="no-messages">…and ${topicPaths.length - MAX_WATCH_TOPICS_PER_PIN} more matching topics.</li>`)
+        }
+
+        elWatchList.appendChild(group)
+    }
+
+    if (watchPins.length === 0) {
+        elWatchList.innerHTML = '<li class="no-messages">Nothing pinned. Pin a topic from the details panel or enter a topic filter below.</li>'
+    }
+}
+
+/** Updates the watch list for topics that have received messages
+ * The whole list is only rendered again when a new topic matches a pin.
+ * @param {Set<string>|string[]} topicPaths - Updated topic paths
+ */
+function updateWatchList(topicPaths) {
+    if (watchPins.length === 0) return
+
+    const now = Date.now()
+    for (const topicPath of topicPaths) {
+        if (!watchedTopics.has(topicPath)) {
+            if (watchPins.some(pin => mqttTopicMatches(pin, topicPath))) {
+                renderWatchList()
+                return
+            }
+            continue
+        }
+
+        const node = getTopicNode(topicPath.split('/'))
+        for (const item of elWatchList.querySelectorAll(`.watch-item[data-topic-path="${CSS.escape(topicPath)}"]`)) {
+            updateWatchItem(item, node, now)
+        }
+    }
+}
+
+/** Refreshes every watch list item, e.g. so that the time since the last update keeps counting */
+function refreshWatchList() {
+    const now = Date.now()
+    for (const item of elWatchList.querySelectorAll('.watch-item')) {
+        const node = getTopicNode(item.dataset.topicPath.split('/'))
+        if (node) updateWatchItem(item, node, now)
+    }
+}
+
+// #endregion
+
+// #region --- Transports ---
+
+/** @typedef {object} PublishMsg
+ * @property {string} topic - Topic to publish to
+ * @property {unknown} payload - Payload to publish
+ * @property {number} qos - MQTT Quality of Service level
+ * @property {boolean} retain - Whether the broker should retain the message
+ * @property {string} [contentType] - MQTT v5 content type
+ * @property {string} [responseTopic] - MQTT v5 response topic
+ * @property {Uint8Array} [correlationData] - MQTT v5 correlation data
+ * @property {number} [messageExpiryInterval] - MQTT v5 message expiry interval (s)
+ * @property {{[name: string]: string|string[]}} [userProperties] - MQTT v5 user properties
+ */
+
+/** A transport delivers incoming MQTT messages to the explorer and publishes outgoing ones.
+ * Incoming messages are handed over in the same shape as Node-RED's MQTT-in node produces.
+ * @typedef {object} Transport
+ * @property {string} label - Description shown in the connection status
+ * @property {function(function(object): void, function(string): void): (void|Promise<void>)} start - Start receiving. Called with the msg handler and a status callback
+ * @property {function(): void} stop - Stop receiving and release any connection
+ * @property {function(PublishMsg): void} publish - Publish a message
+ * @property {function(Subscription): void} subscribe - Add a subscription
+ * @property {function(string): void} unsubscribe - Remove the subscription for a topic filter
+ */
+
+/** The transport currently in use
+ * @type {Transport|null}
+ */
+let activeTransport = null
+
+/** Creates the default transport - messages come from, and are published via, Node-RED
+ * Node-RED is sent a `{cmd: 'connect'}` control message so that a flow can switch a dynamic MQTT-in
+ * node to the profile's broker. `msg.broker` uses the property names that the MQTT nodes expect for
+ * their dynamic `connect` action. It is null for a profile without a host, asking the flow to go back
+ * to the broker it is wired to - otherwise it would stay connected to the previous profile's broker.
+ * @param {BrokerProfile} [profile] - The broker profile to use
+ * @returns {Transport} The uibuilder transport
+ */
+function createUibuilderTransport(profile) {
+    let listenerId = null
+
+    return {
+        label: 'Node-RED (uibuilder)',
+        start(onMsg, onStatus) {
+            listenerId = uibuilder.onChange('msg', onMsg)
+
+            uibuilder.send({
+                cmd: 'connect',
+                broker: profile?.host
+                    ? {
+                        name: profile.name,
+                        broker: profile.host,
+                        port: profile.port,
+                        clientid: profile.clientId,
+                        username: profile.username,
+                        password: profile.password,
+                        usetls: profile.tls,
+                        protocolVersion: profile.protocolVersion,
+                    }
+                    : null,
+                subscriptions: profile?.subscriptions ?? [],
+            })
+
+            onStatus('connected')
+        },
+        stop() {
+            if (listenerId !== null) uibuilder.cancelChange('msg', listenerId)
+            listenerId = null
+        },
+        publish(pubMsg) {
+            uibuilder.send({
+                cmd: 'publish',
+                ...pubMsg,
+            })
+        },
+        subscribe({ topic, qos, }) {
+            uibuilder.send({
+                cmd: 'subscribe',
+                topic,
+                qos,
+            })
+        },
+        unsubscribe(topic) {
+            uibuilder.send({
+                cmd: 'unsubscribe',
+                topic,
+            })
+        },
+    }
+}
+
+/** Decodes a raw MQTT payload the way Node-RED's MQTT-in node does in auto-detect mode
+ * Valid UTF-8 becomes a string, anything else a Node.js style serialised Buffer.
+ * @param {Uint8Array} bytes - The raw payload
+ * @returns {string|{type: string, data: number[]}} The decoded payload
+ */
+function decodeMqttPayload(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true, }).decode(bytes)
+    } catch {
+        return { type: 'Buffer', data: Array.from(bytes), }
+    }
+}
+
+/** Encodes a payload for publishing directly to a broker
+ * @param {unknown} payload - The payload to encode
+ * @returns {string|Uint8Array} Payload suitable for MQTT.js
+ */
+function encodeMqttPayload(payload) {
+    if (payload === undefined || payload === null) return ''
+    if (typeof payload === 'string') return payload
+    if (payload instanceof Uint8Array) return payload
+    if (typeof payload === 'object' && payload.type === 'Buffer' && Array.isArray(payload.data)) {
+        return new Uint8Array(payload.data)
+    }
+    return typeof payload === 'object' ? JSON.stringify(payload) : String(payload)
+}
+
+/** Converts a message received by MQTT.js into a Node-RED style msg
+ * @param {string} topic - The message topic
+ * @param {Uint8Array} payload - The raw payload
+ * @param {object} packet - The MQTT.js publish packet
+ * @returns {object} Node-RED style msg
+ */
+function mqttPacketToMsg(topic, payload, packet) {
+    const props = packet.properties ?? {}
+
+    return {
+        topic,
+        payload: decodeMqttPayload(payload),
+        qos: packet.qos,
+        retain: packet.retain,
+        // MQTT v5 properties
+        correlationData: props.correlationData ? decodeMqttPayload(props.correlationData) : undefined,
+        userProperties: props.userProperties,
+        messageExpiryInterval: props.messageExpiryInterval,
+        responseTopic: props.responseTopic,
+        contentType: props.contentType,
+    }
+}
+
+/** Creates a transport that connects the browser directly to a broker using MQTT over WebSockets
+ * This takes the load off Node-RED. MQTT.js is loaded on demand from {@link MQTT_LIBRARY_URL}
+ * unless a `connect` function is supplied - which also allows testing against a mock client.
+ * `mqttOptions` are passed to MQTT.js, so `createWebsocket` can be used to supply a mock WebSocket.
+ * @param {object} config - Transport configuration
+ * @param {string} config.url - Broker WebSocket URL, e.g. `ws://localhost:9001/mqtt`
+ * @param {Subscription[]} [config.subscriptions] - Topic filters to subscribe to, defaults to `#`
+ * @param {object} [config.mqttOptions] - Extra MQTT.js connection options
+ * @param {function(string, object): object} [config.connect] - An `mqtt.connect` compatible function
+ * @returns {Transport} The direct MQTT transport
+ */
+function createMqttWsTransport({ url, subscriptions = [{ topic: '#', qos: 0, }], mqttOptions = {}, connect, }) {
+    let client = null
+    // Set by stop() - it can run while MQTT.js is still loading
+    let stopped = false
+    // Own copy so that runtime changes are re-applied after a reconnect
+    const activeSubscriptions = new Map(subscriptions.map(sub => [sub.topic, sub.qos]))
+
+    return {
+        label: `Direct: ${url}`,
+        async start(onMsg, onStatus) {
+            onStatus('connecting')
+
+            let mqttConnect = connect
+            if (!mqttConnect) {
+                try {
+                    mqttConnect = (await import(MQTT_LIBRARY_URL)).default.connect
+                } catch (err) {
+                    onStatus(`error: unable to load MQTT.js from ${MQTT_LIBRARY_URL}`)
+                    console.error('[mqtt-explorer] Unable to load MQTT.js. Install the "mqtt" package using the uibuilder library manager.', err)
+                    return
+                }
+                if (stopped) return
+            }
+
+            const mqttClient = mqttConnect(url, {
+                reconnectPeriod: 5000,
+                ...mqttOptions,
+            })
+            client = mqttClient
+
+            /** Wraps a client event handler so that it does nothing, and ends the client, once stopped
+             * @param {function(...unknown): void} handler - The event handler
+             * @returns {function(...unknown): void} The wrapped handler
+             */
+            const handle = handler => (...args) => {
+                if (stopped) {
+                    mqttClient.end(true)
+                    return
+                }
+                handler(...args)
+            }
+
+            mqttClient.on('connect', handle(() => {
+                onStatus('connected')
+                if (activeSubscriptions.size === 0) return
+                mqttClient.subscribe(Object.fromEntries([...activeSubscriptions].map(([topic, qos]) => [topic, { qos, }])), (err) => {
+                    if (err) onStatus(`error: subscribe failed - ${err.message}`)
+                })
+            }))
+            mqttClient.on('reconnect', handle(() => onStatus('reconnecting')))
+            mqttClient.on('close', handle(() => onStatus('disconnected')))
+            mqttClient.on('error', handle(err => onStatus(`error: ${err.message}`)))
+            mqttClient.on('message', handle((topic, payload, packet) => onMsg(mqttPacketToMsg(topic, payload, packet))))
+        },
+        stop() {
+            stopped = true
+            client?.end(true)
+            client = null
+        },
+        publish({ topic, payload, qos, retain, ...properties }) {
+            if (!client) throw new Error('Not connected to the broker')
+            client.publish(topic, encodeMqttPayload(payload), {
+                qos,
+                retain,
+                // MQTT v5 properties
+                ...(Object.keys(properties).length > 0 ? { properties, } : {}),
+            })
+        },
+        subscribe({ topic, qos, }) {
+            activeSubscriptions.set(topic, qos)
+            client?.subscribe(topic, { qos, })
+        },
+        unsubscribe(topic) {
+            activeSubscriptions.delete(topic)
+            client?.unsubscribe(topic)
+        },
+    }
+}
+
+/** Builds the WebSocket URL for a direct broker connection
+ * @param {BrokerProfile} profile - The broker profile
+ * @returns {string} The broker URL, e.g. `wss://broker.local:8081/mqtt`
+ */
+function getBrokerWsUrl(profile) {
+    const path = profile.path ? `/${profile.path.replace(/^\/+/, '')}` : ''
+    return `${profile.tls ? 'wss' : 'ws'}://${profile.host}:${profile.port}${path}`
+}
+
+/** Registered transport factories, keyed by the values of the profile transport selector
+ * @type {{[type: string]: function(BrokerProfile): Transport}}
+ */
+const transportFactories = {
+    'uibuilder': createUibuilderTransport,
+    'mqtt-ws': profile => createMqttWsTransport({
+        url: getBrokerWsUrl(profile),
+        subscriptions: profile.subscriptions,
+        mqttOptions: {
+            protocolVersion: profile.protocolVersion,
+            ...(profile.clientId ? { clientId: profile.clientId, } : {}),
+            ...(profile.username ? { username: profile.username, password: profile.password, } : {}),
+        },
+    }),
+}
+
+/** Shows the state of the active transport
+ * @param {string} status - Status text, e.g. 'connected'
+ */
+function updateConnectionStatus(status) {
+    const profile = getActiveProfile()
+    elConnectionStatus.textContent = `${profile?.name ?? 'none'} via ${activeTransport?.label ?? 'none'} - ${status}`
+    elConnectionStatus.dataset.status = status.split(':')[0]
+}
+
+/** Replaces the active transport, stopping the old one first
+ * @param {Transport} transport - The transport to use
+ */
+function setTransport(transport) {
+    activeTransport?.stop()
+    activeTransport = transport
+    updateConnectionStatus('starting')
+    // Ignore late messages and status reports from a transport that has since been replaced
+    transport.start((msg) => {
+        if (activeTransport === transport) receiveLiveMsg(msg)
+    }, (status) => {
+        if (activeTransport === transport) updateConnectionStatus(status)
+    })
+}
+
+/** Creates a transport for a broker profile
+ * @param {BrokerProfile} profile - The broker profile
+ * @returns {Transport} The new transport
+ */
+function createTransport(profile) {
+    const factory = transportFactories[profile.transport] ?? createUibuilderTransport
+    return factory(profile)
+}
+
+// #endregion
+
+// #region --- Broker Profiles ---
+
+/** Profile used when none have been defined - receives whatever the Node-RED flow is wired for
+ * @type {BrokerProfile}
+ */
+const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Node-RED (as wired)',
+    transport: 'uibuilder',
+    host: '',
+    port: 1883,
+    path: '/mqtt',
+    clientId: '',
+    username: '',
+    password: '',
+    tls: false,
+    protocolVersion: 4,
+    subscriptions: [{ topic: '#', qos: 0, }],
+}
+
+/** Defined broker profiles
+ * @type {BrokerProfile[]}
+ */
+const brokerProfiles = []
+
+/** Id of the profile currently connected
+ * @type {string|null}
+ */
+let activeProfileId = null
+
+/** Gets a broker profile by id
+ * @param {string} id - The profile id
+ * @returns {BrokerProfile|undefined} The profile
+ */
+function getProfile(id) {
+    return brokerProfiles.find(profile => profile.id === id)
+}
+
+/** Gets the profile currently connected
+ * @returns {BrokerProfile|undefined} The active profile
+ */
+function getActiveProfile() {
+    return getProfile(activeProfileId)
+}
+
+/** Loads the broker profiles saved in the browser */
+function loadProfiles() {
+    const saved = uibuilder.getStore(STORE_KEY_PROFILES)
+    brokerProfiles.length = 0
+    if (Array.isArray(saved) && saved.length > 0) {
+        brokerProfiles.push(...saved.map(profile => ({ ...DEFAULT_PROFILE, ...profile, })))
+    } else {
+        brokerProfiles.push({ ...DEFAULT_PROFILE, subscriptions: DEFAULT_PROFILE.subscriptions.map(sub => ({ ...sub, })), })
+    }
+
+    const activeId = uibuilder.getStore(STORE_KEY_ACTIVE_PROFILE)
+    activeProfileId = getProfile(activeId) ? activeId : brokerProfiles[0].id
+}
+
+/** Saves the broker profiles in the browser */
+function saveProfiles() {
+    uibuilder.setStore(STORE_KEY_PROFILES, brokerProfiles)
+    uibuilder.setStore(STORE_KEY_ACTIVE_PROFILE, activeProfileId)
+}
+
+/** Refreshes the profile selector
+ * @param {string} selectedId - Id of the profile to select
+ */
+function renderProfileSelect(selectedId) {
+    elProfileSelect.innerHTML = brokerProfiles.map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === selectedId ? 'selected' : ''}>
+            ${escapeHtml(profile.name)}${profile.id === activeProfileId ? ' (connected)' : ''}
+        </option>`).join('')
+    showProfile(getProfile(selectedId))
+}
+
+/** Shows a profile in the profile form
+ * @param {BrokerProfile} profile - The profile to show
+ */
+function showProfile(profile) {
+    document.getElementById('brokerName').value = profile.name
+    document.getElementById('brokerTransport').value = profile.transport
+    document.getElementById('brokerHost').value = profile.host
+    document.getElementById('brokerPort').value = profile.port
+    document.getElementById('brokerPath').value = profile.path
+    document.getElementById('brokerClientId').value = profile.clientId
+    document.getElementById('brokerUsername').value = profile.username
+    document.getElementById('brokerPassword').value = profile.password
+    document.getElementById('brokerTls').checked = profile.tls
+    document.getElementById('brokerProtocol').value = String(profile.protocolVersion)
+    elProfileDeleteBtn.disabled = brokerProfiles.length < 2 || profile.id === activeProfileId
+}
+
+/** Reads the profile form
+ * @returns {Omit<BrokerProfile, 'id'|'subscriptions'>} The profile settings from the form
+ */
+function readProfileForm() {
+    return {
+        name: document.getElementById('brokerName').value.trim(),
+        transport: document.getElementById('brokerTransport').value,
+        host: document.getElementById('brokerHost').value.trim(),
+        port: parseInt(document.getElementById('brokerPort').value, 10),
+        path: document.getElementById('brokerPath').value.trim(),
+        clientId: document.getElementById('brokerClientId').value.trim(),
+        username: document.getElementById('brokerUsername').value.trim(),
+        password: document.getElementById('brokerPassword').value,
+        tls: document.getElementById('brokerTls').checked,
+        protocolVersion: parseInt(document.getElementById('brokerProtocol').value, 10),
+    }
+}
+
+/** Checks profile settings for problems
+ * @param {Omit<BrokerProfile, 'id'|'subscriptions'>} settings - The profile settings
+ * @returns {string[]} Descriptions of any problems
+ */
+function validateProfile(settings) {
+    const problems = []
+
+    if (!settings.name) problems.push('A name is required')
+    if (settings.transport === 'mqtt-ws' && !settings.host) problems.push('A host is required to connect directly to a broker')
+    if (settings.host && !(settings.port >= 1 && settings.port <= 65535)) problems.push('The port must be between 1 and 65535')
+
+    return problems
+}
+
+/** Saves the profile form into the selected profile
+ * @returns {BrokerProfile|null} The saved profile or null if the form is invalid
+ */
+function saveProfileAction() {
+    const settings = readProfileForm()
+    const problems = validateProfile(settings)
+    if (problems.length > 0) {
+        alert(problems.join('\n'))
+        return null
+    }
+
+    const profile = getProfile(elProfileSelect.value)
+    Object.assign(profile, settings)
+    saveProfiles()
+    renderProfileSelect(profile.id)
+
+    return profile
+}
+
+/** Adds a new, blank, profile and selects it for editing */
+function newProfileAction() {
+    const profile = {
+        ...DEFAULT_PROFILE,
+        // Each profile needs its own list as the subscription manager changes it in place
+        subscriptions: DEFAULT_PROFILE.subscriptions.map(sub => ({ ...sub, })),
+        id: `broker-${Date.now().toString(36)}`,
+        name: `Broker ${brokerProfiles.length + 1}`,
+        host: 'localhost',
+    }
+    brokerProfiles.push(profile)
+    saveProfiles()
+    renderProfileSelect(profile.id)
+}
+
+/** Deletes the selected profile along with any data put aside for it */
+function deleteProfileAction() {
+    const profile = getProfile(elProfileSelect.value)
+    if (!profile || profile.id === activeProfileId || brokerProfiles.length < 2) return
+    if (!confirm(`Delete the broker profile "${profile.name}"?`)) return
+
+    brokerProfiles.splice(brokerProfiles.indexOf(profile), 1)
+    brokerPartitions.delete(profile.id)
+    saveProfiles()
+    renderProfileSelect(activeProfileId)
+}
+
+/** Connects to a broker profile, switching the topic tree to that broker's data
+ * @param {BrokerProfile} profile - The profile to connect to
+ */
+function activateProfile(profile) {
+    if (replay.active) stopReplay()
+
+    activeProfileId = profile.id
+    saveProfiles()
+
+    if (activePartitionId !== profile.id) {
+        switchTopicPartition(profile.id)
+        rebuildTopicTree()
+    }
+
+    setTransport(createTransport(profile))
+    renderProfileSelect(profile.id)
+    renderSubscriptionList()
+    updateSessionStatus()
+}
+
+/** Saves the profile form and connects to it */
+function connectAction() {
+    const profile = saveProfileAction()
+    if (profile) activateProfile(profile)
+}
+
+// #endregion
+
+// #region --- Subscriptions ---
+
+/** Refreshes the list of the active profile's subscriptions */
+function renderSubscriptionList() {
+    const subscriptions = getActiveProfile()?.subscriptions ?? []
+
+    elSubscriptionCount.textContent = `${subscriptions.length}`
+    elSubscriptionList.textContent = ''
+
+    for (const { topic, qos, } of subscriptions) {
+        const item = document.createElement('li')
+        const filter = document.createElement('code')
+        filter.textContent = topic
+        const qosLabel = document.createElement('span')
+        qosLabel.className = 'subscription-qos'
+        qosLabel.textContent = `QoS ${qos}`
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.textContent = 'Unsubscribe'
+        button.dataset.unsubscribe = topic
+        item.append(filter, qosLabel, button)
+        elSubscriptionList.appendChild(item)
+    }
+
+    if (subscriptions.length === 0) {
+        elSubscriptionList.innerHTML = '<li class="no-messages">No subscriptions - no messages will be received.</li>'
+    }
+}
+
+/** Adds (or changes the QoS of) a subscription on the active broker
+ * @param {string} topic - MQTT topic filter
+ * @param {number} qos - Maximum QoS requested
+ */
+function subscribeAction(topic, qos) {
+    if (!isValidTopicFilter(topic)) {
+        alert(`"${topic}" is not a valid MQTT topic filter`)
+        return
+    }
+
+    const profile = getActiveProfile()
+    const existing = profile.subscriptions.find(sub => sub.topic === topic)
+    if (existing) {
+        existing.qos = qos
+    } else {
+        profile.subscriptions.push({ topic, qos, })
+    }
+
+    activeTransport.subscribe({ topic, qos, })
+    saveProfiles()
+    renderSubscriptionList()
+}
+
+/** Removes the topics (and their history) that are only covered by a dropped subscription
+ * Deepest topics go first so that branches left empty are pruned too.
+ * @param {string} filter - The topic filter that was unsubscribed
+ * @param {Subscription[]} remaining - Subscriptions still active
+ */
+function pruneUnsubscribedTopics(filter, remaining) {
+    const topicPaths = []
+    walkTopicStore((topicPath, node) => {
+        if (node.messages.length > 0
+            && mqttTopicMatches(filter, topicPath)
+            && !remaining.some(sub => mqttTopicMatches(sub.topic, topicPath))) {
+            topicPaths.push(topicPath)
+        }
+    })
+
+    topicPaths.sort((a, b) => b.split('/').length - a.split('/').length)
+    for (const topicPath of topicPaths) {
+        const topicParts = topicPath.split('/')
+        if (getTopicNode(topicParts)?.children.size > 0) {
+            clearStoredHistory(topicParts)
+        } else {
+            removeStoredTopic(topicParts)
+        }
+    }
+
+    persistTopics(topicPaths)
+    if (topicPaths.length > 0) rebuildTopicTree()
+}
+
+/** Removes a subscription from the active broker, optionally pruning its topics from the explorer
+ * @param {string} topic - MQTT topic filter to unsubscribe from
+ * @param {boolean} prune - Whether to remove the topics no longer subscribed to
+ */
+function unsubscribeAction(topic, prune) {
+    const profile = getActiveProfile()
+    profile.subscriptions = profile.subscriptions.filter(sub => sub.topic !== topic)
+
+    activeTransport.unsubscribe(topic)
+    saveProfiles()
+    renderSubscriptionList()
+
+    if (prune) pruneUnsubscribedTopics(topic, profile.subscriptions)
+}
+
+// #endregion
+
+// #region --- Settings ---
+
+/** Resolved per topic settings, cleared whenever the settings change
+ * @type {Map<string, Settings>}
+ */
+const topicSettingsCache = new Map()
+
+/** Gets a setting for a topic, taking any per topic override into account
+ * @param {string} topicPath - Full topic path
+ * @param {'maxHistoryPerTopic'|'maxVisibleMessages'|'maxValuePreviewLength'|'staleAfterSeconds'|'payloadDecoder'|'contentType'} key - The setting
+ * @returns {number|string|undefined} The setting value, undefined for an override only setting that isn't set
+ */
+function getTopicSetting(topicPath, key) {
+    if (settings.overrides.length === 0) return settings[key]
+
+    let resolved = topicSettingsCache.get(topicPath)
+    if (!resolved) {
+        resolved = resolveTopicSettings(settings, topicPath)
+        topicSettingsCache.set(topicPath, resolved)
+    }
+
+    return resolved[key]
+}
+
+/** Decodes the payloads of a topic's messages using the topic's decoder and content type settings
+ * @param {string} topicPath - Full topic path
+ * @param {TopicMessage[]} messages - The messages
+ */
+function decodeTopicMessages(topicPath, messages) {
+    const decoder = getTopicSetting(topicPath, 'payloadDecoder')
+    const contentType = getTopicSetting(topicPath, 'contentType')
+    for (const msg of messages) decodeStoredMessage(msg, decoder, contentType)
+}
+
+/** Loads the settings saved in the browser */
+function loadSettings() {
+    const saved = uibuilder.getStore(STORE_KEY_SETTINGS)
+    Object.assign(settings, structuredClone(DEFAULT_SETTINGS), saved ?? {})
+    topicSettingsCache.clear()
+    elTopicTree.dataset.highlight = settings.changeHighlight
+}
+
+/** Describes the settings that choose payload decoders, to find out whether they have changed
+ * @param {Settings} currentSettings - The settings
+ * @returns {string} The decoder setting and the overrides that change the decoder or content type
+ */
+function describeDecoderSettings(currentSettings) {
+    const overrides = currentSettings.overrides
+        .filter(override => override.payloadDecoder || override.contentType)
+        .map(override => [override.filter, override.payloadDecoder, override.contentType])
+    return JSON.stringify([currentSettings.payloadDecoder, overrides])
+}
+
+/** Applies new settings, trimming any histories that are now over their limit
+ * Stored messages are decoded again if the payload decoders have changed.
+ * @param {Settings} newSettings - The new settings
+ */
+function applySettings(newSettings) {
+    const previousDecoders = describeDecoderSettings(settings)
+    Object.assign(settings, newSettings)
+    topicSettingsCache.clear()
+    elTopicTree.dataset.highlight = settings.changeHighlight
+    uibuilder.setStore(STORE_KEY_SETTINGS, settings)
+    const redecode = describeDecoderSettings(settings) !== previousDecoders
+
+    if (ingestWorker) {
+        // The worker trims and decodes its store, the changes come back in its next batch
+        ingestWorker.postMessage({ type: 'settings', settings, redecode, })
+    } else {
+        walkTopicStore((topicPath, node) => {
+            const dropped = trimTopicHistory(node, getTopicSetting(topicPath, 'maxHistoryPerTopic'))
+            if (dropped > 0) {
+                updateSubtreeStats(topicPath.split('/'), -dropped)
+                pendingTopicUpdates.add(topicPath)
+            }
+
+            if (redecode && node.messages.length > 0) decodeTopicMessages(topicPath, node.messages)
+        })
+    }
+
+    // Re-render rows, the watch list and the detail panel with the new limits and decoders
+    refreshRenderedRows()
+    if (redecode) refreshWatchList()
+    if (treeView.selected) pendingTopicUpdates.add(treeView.selected)
+    scheduleRender()
+}
+
+/** Renders the options of a payload decoder select
+ * @param {string} selected - The selected decoder, '' for the blank option
+ * @param {string} [blankLabel] - Label of the blank option, which uses the decoder from the settings. No blank option if not given
+ * @returns {string} HTML string of the options
+ */
+function renderDecoderOptions(selected, blankLabel) {
+    const options = PAYLOAD_DECODERS.map(decoder => [decoder, PAYLOAD_DECODER_LABELS[decoder]])
+    if (blankLabel !== undefined) options.unshift(['', blankLabel])
+    return options
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+        .join('')
+}
+
+/** Sets the payload decoder of a single topic using a per topic override
+ * The topic's override is moved to the top of the list so that no wildcard override takes precedence.
+ * @param {string} topicPath - Full topic path
+ * @param {string} decoder - One of `PAYLOAD_DECODERS`, '' to use the decoder from the settings
+ */
+function setTopicDecoderAction(topicPath, decoder) {
+    const overrides = structuredClone(settings.overrides)
+    const index = overrides.findIndex(override => override.filter === topicPath)
+    const override = index === -1 ? { filter: topicPath, } : overrides.splice(index, 1)[0]
+
+    if (decoder) {
+        override.payloadDecoder = decoder
+    } else {
+        delete override.payloadDecoder
+    }
+
+    // Drop an override that no longer changes anything
+    if (Object.keys(override).length > 1) overrides.unshift(override)
+    applySettings({ overrides, })
+    showSettings()
+}
+
+/** Adds a row to the settings overrides table
+ * @param {SettingsOverride} override - The override to show
+ */
+function addOverrideRow(override) {
+    const value = key => override[key] ?? ''
+    const row = document.createElement('tr')
+    row.innerHTML = `
+        <td><input type="text" data-key="filter" aria-label="Topic filter" placeholder="e.g. sensors/#"></td>
+        <td><input type="number" data-key="maxHistoryPerTopic" aria-label="Messages kept per topic" min="1" value="${value('maxHistoryPerTopic')}"></td>
+        <td><input type="number" data-key="maxVisibleMessages" aria-label="Messages shown" min="1" value="${value('maxVisibleMessages')}"></td>
+        <td><input type="number" data-key="maxValuePreviewLength" aria-label="Preview length" min="1" value="${value('maxValuePreviewLength')}"></td>
+        <td><input type="number" data-key="staleAfterSeconds" aria-label="Stale after (s)" min="0" value="${value('staleAfterSeconds')}"></td>
+        <td><select data-key="payloadDecoder" aria-label="Decode as">${renderDecoderOptions(value('payloadDecoder'), 'Use setting')}</select></td>
+        <td><input type="text" data-key="contentType" aria-label="Content type" placeholder="e.g. image/png"></td>
+        <td><button type="button" data-remove-override title="Remove this override">✕</button></td>
+    `
+    // Set via the property so that the filter text does not need escaping
+    row.querySelector('[data-key="filter"]').value = override.filter ?? ''
+    row.querySelector('[data-key="contentType"]').value = override.contentType ?? ''
+    elSettingsOverrides.appendChild(row)
+}
+
+/** Shows the current settings in the settings panel */
+function showSettings() {
+    document.getElementById('setting-payloadDecoder').innerHTML = renderDecoderOptions(settings.payloadDecoder)
+    for (const key of ['maxHistoryPerTopic', 'maxVisibleMessages', 'maxValuePreviewLength', 'renderDebounceMs', 'staleAfterSeconds', 'changeHighlight', 'payloadDecoder']) {
+        document.getElementById(`setting-${key}`).value = settings[key]
+    }
+    elSettingsOverrides.textContent = ''
+    settings.overrides.forEach(addOverrideRow)
+}
+
+/** Reads and validates the settings panel
+ * @returns {Settings|null} The new settings or null if any are invalid
+ */
+function readSettingsForm() {
+    const problems = []
+    const readNumber = (input, label, min) => {
+        if (input.value.trim() === '') return undefined
+        const value = Number(input.value)
+        if (!Number.isInteger(value) || value < min) problems.push(`${label} must be a whole number of at least ${min}`)
+        return value
+    }
+
+    const newSettings = {
+        maxHistoryPerTopic: readNumber(document.getElementById('setting-maxHistoryPerTopic'), 'Messages kept per topic', 1),
+        maxVisibleMessages: readNumber(document.getElementById('setting-maxVisibleMessages'), 'Messages shown', 1),
+        maxValuePreviewLength: readNumber(document.getElementById('setting-maxValuePreviewLength'), 'Preview length', 1),
+        renderDebounceMs: readNumber(document.getElementById('setting-renderDebounceMs'), 'Render delay', 0),
+        staleAfterSeconds: readNumber(document.getElementById('setting-staleAfterSeconds'), 'Stale after', 0),
+        changeHighlight: document.getElementById('setting-changeHighlight').value,
+        payloadDecoder: document.getElementById('setting-payloadDecoder').value,
+        overrides: [],
+    }
+
+    for (const key of ['maxHistoryPerTopic', 'maxVisibleMessages', 'maxValuePreviewLength', 'renderDebounceMs', 'staleAfterSeconds']) {
+        if (newSettings[key] === undefined) newSettings[key] = DEFAULT_SETTINGS[key]
+    }
+
+    for (const row of elSettingsOverrides.rows) {
+        const override = { filter: row.querySelector('[data-key="filter"]').value.trim(), }
+        if (!isValidTopicFilter(override.filter)) {
+            problems.push(`Override filter "${override.filter}" is not a valid MQTT topic filter`)
+            continue
+        }
+        for (const input of row.querySelectorAll('input[type="number"]')) {
+            const value = readNumber(input, `${input.getAttribute('aria-label')} for "${override.filter}"`, Number(input.min))
+            if (value !== undefined) override[input.dataset.key] = value
+        }
+        const decoder = row.querySelector('[data-key="payloadDecoder"]').value
+        if (decoder) override.payloadDecoder = decoder
+        const contentType = row.querySelector('[data-key="contentType"]').value.trim()
+        if (contentType && !/^[^\s/;]+\/[^\s/;]+(;.*)?$/.test(contentType)) {
+            problems.push(`Content type "${contentType}" for "${override.filter}" is not a MIME type like image/png`)
+        } else if (contentType) {
+            override.contentType = contentType
+        }
+        newSettings.overrides.push(override)
+    }
+
+    if (problems.length > 0) {
+        alert(problems.join('\n'))
+        return null
+    }
+    return newSettings
+}
+
+// #endregion
+
+// #region --- Persistence ---
+
+/** @typedef {object} PersistenceConfig
+ * @property {boolean} enabled - Whether captured data is kept in IndexedDB
+ * @property {string|null} sessionId - Id of the session being recorded
+ * @property {number} maxSizeMb - Storage budget per session (approximate MB)
+ * @property {number} maxAgeHours - Messages older than this are not kept
+ */
+
+/** @typedef {object} Session
+ * @property {string} id - Unique session id
+ * @property {string} name - Display name
+ * @property {string|null} brokerId - Id of the broker profile whose data the session holds
+ * @property {string} created - ISO timestamp when the session was started
+ * @property {string} updated - ISO timestamp when the session was last saved
+ */
+
+/** Default persistence configuration - persistence is off until turned on
+ * @type {PersistenceConfig}
+ */
+const DEFAULT_PERSISTENCE = {
+    enabled: false,
+    sessionId: null,
+    maxSizeMb: 50,
+    maxAgeHours: 168,
+}
+
+/** State of the IndexedDB persistence
+ * @type {{config: PersistenceConfig, db: IDBDatabase|null, sessions: Session[], dirty: Set<string>, removed: Set<string>, full: boolean, sizes: Map<string, {size: number, updated: string}>, flushTimeout: number|null, flushing: Promise<void>|null}}
+ */
+const persistence = {
+    config: { ...DEFAULT_PERSISTENCE, },
+    db: null,
+    sessions: [],
+    // Topics to save, subtrees to delete and whether to rewrite the whole session
+    dirty: new Set(),
+    removed: new Set(),
+    full: false,
+    // Approximate stored size and newest message time of each saved topic in the session
+    sizes: new Map(),
+    flushTimeout: null,
+    flushing: null,
+}
+
+/** Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<unknown>} Resolves with the request's result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.addEventListener('success', () => resolve(request.result))
+        request.addEventListener('error', () => reject(request.error))
+    })
+}
+
+/** Wraps an IndexedDB transaction in a promise
+ * @param {IDBTransaction} tx - The transaction
+ * @returns {Promise<void>} Resolves when the transaction completes
+ */
+function idbTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.addEventListener('complete', () => resolve())
+        tx.addEventListener('error', () => reject(tx.error))
+        tx.addEventListener('abort', () => reject(tx.error ?? new Error('Transaction aborted')))
+    })
+}
+
+/** Gets the key range of all of a session's topic records
+ * Arrays sort after strings in IndexedDB, so `[id, []]` is after every `[id, topic]`.
+ * @param {string} sessionId - Session id
+ * @returns {IDBKeyRange} The key range
+ */
+function sessionKeyRange(sessionId) {
+    return IDBKeyRange.bound([sessionId], [sessionId, []])
+}
+
+/** Opens the database, creating it on first use
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+async function openPersistenceDb() {
+    if (persistence.db) return persistence.db
+
+    const request = indexedDB.open(PERSISTENCE_DB_NAME, 1)
+    request.addEventListener('upgradeneeded', () => {
+        const db = request.result
+        db.createObjectStore('sessions', { keyPath: 'id', })
+        db.createObjectStore('topics', { keyPath: ['sessionId', 'topic'], })
+    })
+
+    persistence.db = await idbRequest(request)
+    const sessions = persistence.db.transaction('sessions').objectStore('sessions')
+    persistence.sessions = await idbRequest(sessions.getAll())
+    return persistence.db
+}
+
+/** Saves the persistence configuration in the browser */
+function savePersistenceConfig() {
+    uibuilder.setStore(STORE_KEY_PERSISTENCE, persistence.config)
+}
+
+/** Gets the session being recorded
+ * @returns {Session|undefined} The session
+ */
+function getActiveSession() {
+    return persistence.sessions.find(session => session.id === persistence.config.sessionId)
+}
+
+/** Checks whether changes to the topic store are currently being saved
+ * Only the data of the session's broker is saved, so saving pauses while connected to another broker.
+ * @returns {boolean} True if saving
+ */
+function isPersisting() {
+    const session = getActiveSession()
+    return persistence.config.enabled
+        && persistence.db !== null
+        && session !== undefined
+        && session.brokerId === activePartitionId
+}
+
+/** Marks topics as needing to be saved
+ * @param {Set<string>|string[]} topicPaths - Changed topic paths
+ */
+function persistTopics(topicPaths) {
+    if (!isPersisting()) return
+    for (const topicPath of topicPaths) persistence.dirty.add(topicPath)
+    schedulePersistence()
+}
+
+/** Marks a removed topic and its sub-topics as needing to be deleted
+ * @param {string} topicPath - Full path of the removed topic
+ */
+function persistRemovedTopic(topicPath) {
+    if (!isPersisting()) return
+    persistence.removed.add(topicPath)
+    schedulePersistence()
+}
+
+/** Marks the whole session as needing to be rewritten, e.g. after the explorer was cleared */
+function persistAllTopics() {
+    if (!isPersisting()) return
+    persistence.full = true
+    schedulePersistence()
+}
+
+/** Schedules the pending changes to be saved */
+function schedulePersistence() {
+    if (persistence.flushTimeout) return
+    persistence.flushTimeout = setTimeout(() => {
+        persistence.flushTimeout = null
+        flushPersistence()
+    }, PERSIST_INTERVAL_MS)
+}
+
+/** Converts a topic to its database record, leaving out messages older than the age budget
+ * @param {string} topicPath - Full topic path
+ * @param {TopicNode} node - The topic node
+ * @returns {object|null} The record or null if there is nothing to keep
+ */
+function toTopicRecord(topicPath, node) {
+    const cutoff = Date.now() - persistence.config.maxAgeHours * 3600000
+    // The decoded payload is only a cache, it is re-created when the session is loaded
+    const messages = node.messages
+        .filter(msg => Date.parse(msg.timestamp) >= cutoff)
+        .map(({ parsed, decoder, decodeError, ...storedMsg }) => storedMsg)
+    if (messages.length === 0) return null
+
+    return {
+        sessionId: persistence.config.sessionId,
+        topic: topicPath,
+        messages,
+        received: node.received,
+        activity: node.activity,
+        updated: messages[0].timestamp,
+        // Rough size - the JSON length is close enough for a budget
+        size: JSON.stringify(messages).length,
+    }
+}
+
+/** Saves the pending changes to the database */
+async function flushPersistence() {
+    // Wait for any save in progress so that saves never overlap
+    while (persistence.flushing) await persistence.flushing
+    if (!isPersisting()) return
+
+    const { sessionId, } = persistence.config
+    const dirty = [...persistence.dirty]
+    const removed = [...persistence.removed]
+    const full = persistence.full
+    persistence.dirty.clear()
+    persistence.removed.clear()
+    persistence.full = false
+
+    const save = async () => {
+        const tx = persistence.db.transaction(['sessions', 'topics'], 'readwrite')
+        const topics = tx.objectStore('topics')
+        const putTopic = (topicPath, node) => {
+            const record = node ? toTopicRecord(topicPath, node) : null
+            if (record) {
+                topics.put(record)
+                persistence.sizes.set(topicPath, { size: record.size, updated: record.updated, })
+            } else {
+                topics.delete([sessionId, topicPath])
+                persistence.sizes.delete(topicPath)
+            }
+        }
+
+        if (full) {
+            topics.delete(sessionKeyRange(sessionId))
+            persistence.sizes.clear()
+            walkTopicStore((topicPath, node) => {
+                if (node.messages.length > 0) putTopic(topicPath, node)
+            })
+        } else {
+            for (const topicPath of removed) {
+                topics.delete([sessionId, topicPath])
+                topics.delete(IDBKeyRange.bound([sessionId, `${topicPath}/`], [sessionId, `${topicPath}0`], false, true))
+                for (const savedPath of persistence.sizes.keys()) {
+                    if (savedPath === topicPath || savedPath.startsWith(`${topicPath}/`)) persistence.sizes.delete(savedPath)
+                }
+            }
+            for (const topicPath of dirty) {
+                putTopic(topicPath, getTopicNode(topicPath.split('/')))
+            }
+        }
+
+        // Keep within the size budget by dropping the topics that were updated longest ago
+        const budget = persistence.config.maxSizeMb * 1048576
+        let total = 0
+        for (const { size, } of persistence.sizes.values()) total += size
+        if (total > budget) {
+            const oldestFirst = [...persistence.sizes].sort((a, b) => Date.parse(a[1].updated) - Date.parse(b[1].updated))
+            for (const [topicPath, { size, }] of oldestFirst) {
+                if (total <= budget) break
+                topics.delete([sessionId, topicPath])
+                persistence.sizes.delete(topicPath)
+                total -= size
+            }
+        }
+
+        const session = getActiveSession()
+        session.updated = new Date().toISOString()
+        tx.objectStore('sessions').put(session)
+
+        await idbTransaction(tx)
+    }
+
+    persistence.flushing = save().catch((err) => {
+        console.error('[mqtt-explorer] Unable to save the session:', err)
+        elSessionStatus.textContent = `error: ${err.message}`
+    })
+    await persistence.flushing
+    persistence.flushing = null
+}
+
+/** Loads a session's topics into the topic store
+ * @param {Session} session - The session to load
+ */
+async function loadSessionTopics(session) {
+    const topics = persistence.db.transaction('topics').objectStore('topics')
+    const records = await idbRequest(topics.getAll(sessionKeyRange(session.id)))
+    const cutoff = Date.now() - persistence.config.maxAgeHours * 3600000
+
+    persistence.sizes.clear()
+    for (const record of records) {
+        const messages = record.messages.filter(msg => Date.parse(msg.timestamp) >= cutoff)
+        if (messages.length === 0) continue
+
+        decodeTopicMessages(record.topic, messages)
+
+        const topicParts = record.topic.split('/')
+        const node = getOrCreateTopicNode(topicParts)
+        const previous = node.messages.length
+        stats.totalMessages += messages.length - previous
+        node.messages = messages
+        node.received = record.received ?? messages.length
+        if (record.activity) node.activity = record.activity
+        const dropped = trimTopicHistory(node, getTopicSetting(record.topic, 'maxHistoryPerTopic'))
+        updateSubtreeStats(topicParts, messages.length - previous - dropped, 0, node.activity.lastTime)
+
+        persistence.sizes.set(record.topic, { size: record.size, updated: record.updated, })
+    }
+
+    // The ingest worker carries on from the loaded topics
+    startIngestEpoch()
+}
+
+/** Creates a new session for the active broker
+ * @param {string} [name] - Display name
+ * @returns {Promise<Session>} The new session
+ */
+async function createSession(name) {
+    const now = new Date().toISOString()
+    const session = {
+        id: `session-${Date.now().toString(36)}`,
+        name: name || `Session ${new Date(now).toLocaleString()}`,
+        brokerId: activePartitionId,
+        created: now,
+        updated: now,
+    }
+
+    const tx = persistence.db.transaction('sessions', 'readwrite')
+    tx.objectStore('sessions').put(session)
+    await idbTransaction(tx)
+
+    persistence.sessions.push(session)
+    return session
+}
+
+/** Starts recording to a session, stopping the recording of any other
+ * @param {Session} session - The session to record to
+ */
+function setActiveSession(session) {
+    persistence.config.sessionId = session.id
+    persistence.dirty.clear()
+    persistence.removed.clear()
+    persistence.full = false
+    savePersistenceConfig()
+    renderSessionSelect()
+}
+
+/** Shows the persistence state in the sessions panel */
+function updateSessionStatus() {
+    const session = getActiveSession()
+
+    if (!persistence.config.enabled || !session) {
+        elSessionStatus.textContent = 'off'
+    } else if (isPersisting()) {
+        elSessionStatus.textContent = session.name
+    } else {
+        elSessionStatus.textContent = `${session.name} (paused, recorded from another broker)`
+    }
+}
+
+/** Refreshes the list of saved sessions */
+function renderSessionSelect() {
+    const sessions = [...persistence.sessions].sort((a, b) => b.updated.localeCompare(a.updated))
+    elSessionSelect.innerHTML = sessions.map(session => `
+        <option value="${session.id}" ${session.id === persistence.config.sessionId ? 'selected' : ''}>
+            ${escapeHtml(session.name)}${session.id === persistence.config.sessionId ? ' (recording)' : ''}
+            - ${escapeHtml(getProfile(session.brokerId)?.name ?? 'unknown broker')}
+        </option>`).join('')
+
+    elPersistEnabled.checked = persistence.config.enabled
+    document.getElementById('persistMaxSize').value = persistence.config.maxSizeMb
+    document.getElementById('persistMaxAge').value = persistence.config.maxAgeHours
+    updateSessionStatus()
+}
+
+/** Restores the recorded session (if persistence is on) before any live messages arrive */
+async function restoreSession() {
+    persistence.config = { ...DEFAULT_PERSISTENCE, ...uibuilder.getStore(STORE_KEY_PERSISTENCE), }
+
+    if (typeof indexedDB === 'undefined') {
+        elPersistEnabled.disabled = true
+        elPersistEnabled.closest('label').title = 'This browser does not support IndexedDB'
+        persistence.config.enabled = false
+        return
+    }
+
+    if (!persistence.config.enabled) {
+        renderSessionSelect()
+        return
+    }
+
+    try {
+        await openPersistenceDb()
+        let session = getActiveSession()
+
+        if (session) {
+            // Load into the session's broker partition, activating the profile moves it aside if needed
+            if (!getProfile(session.brokerId)) session.brokerId = getActiveProfile().id
+            switchTopicPartition(session.brokerId)
+            await loadSessionTopics(session)
+            rebuildTopicTree()
+        } else {
+            switchTopicPartition(getActiveProfile().id)
+            session = await createSession()
+        }
+        setActiveSession(session)
+    } catch (err) {
+        console.error('[mqtt-explorer] Unable to restore the saved session:', err)
+    }
+
+    renderSessionSelect()
+}
+
+/** Turns persistence on or off
+ * Turning it on records the current data to the last used session, or a new one.
+ * @param {boolean} enabled - Whether to keep captured data
+ */
+async function setPersistenceEnabled(enabled) {
+    persistence.config.enabled = enabled
+    savePersistenceConfig()
+
+    if (enabled) {
+        try {
+            await openPersistenceDb()
+            let session = getActiveSession()
+            if (!session || session.brokerId !== activePartitionId) session = await createSession()
+            setActiveSession(session)
+            persistAllTopics()
+        } catch (err) {
+            console.error('[mqtt-explorer] Unable to open the session database:', err)
+            alert(`Unable to keep the captured data: ${err.message}`)
+            persistence.config.enabled = false
+            savePersistenceConfig()
+        }
+    } else {
+        clearTimeout(persistence.flushTimeout)
+        persistence.flushTimeout = null
+    }
+
+    renderSessionSelect()
+}
+
+/** Starts a new, empty session and records to it. The current session is kept. */
+async function newSessionAction() {
+    if (!persistence.config.enabled) return
+
+    await flushPersistence()
+    const session = await createSession(elSessionName.value.trim())
+    elSessionName.value = ''
+
+    setActiveSession(session)
+    resetExplorer()
+}
+
+/** Opens the selected session, replacing the explorer's data with it, and records to it */
+async function openSessionAction() {
+    const session = persistence.sessions.find(item => item.id === elSessionSelect.value)
+    if (!session || !persistence.config.enabled) return
+
+    await flushPersistence()
+
+    // Stop recording while the data is swapped over
+    persistence.config.sessionId = null
+
+    // Sessions hold the data of one broker
+    const profile = getProfile(session.brokerId) ?? getActiveProfile()
+    session.brokerId = profile.id
+    if (profile.id !== activeProfileId) activateProfile(profile)
+
+    resetExplorer()
+    await loadSessionTopics(session)
+    rebuildTopicTree()
+
+    setActiveSession(session)
+}
+
+/** Deletes the selected session. Deleting the session being recorded starts a new one. */
+async function deleteSessionAction() {
+    const session = persistence.sessions.find(item => item.id === elSessionSelect.value)
+    if (!session) return
+    if (!confirm(`Delete the saved session "${session.name}"?`)) return
+
+    const isActive = session.id === persistence.config.sessionId
+    if (isActive) persistence.config.sessionId = null
+
+    const tx = persistence.db.transaction(['sessions', 'topics'], 'readwrite')
+    tx.objectStore('topics').delete(sessionKeyRange(session.id))
+    tx.objectStore('sessions').delete(session.id)
+    await idbTransaction(tx)
+
+    persistence.sessions.splice(persistence.sessions.indexOf(session), 1)
+
+    if (isActive) {
+        setActiveSession(await createSession())
+        persistAllTopics()
+    }
+    renderSessionSelect()
+}
+
+/** Saves the storage budget and applies it straight away */
+function savePersistenceBudgetAction() {
+    const maxSizeMb = Number(document.getElementById('persistMaxSize').value)
+    const maxAgeHours = Number(document.getElementById('persistMaxAge').value)
+    if (!(maxSizeMb > 0) || !(maxAgeHours > 0)) {
+        alert('The size budget and the age must both be greater than 0')
+        return
+    }
+
+    persistence.config.maxSizeMb = maxSizeMb
+    persistence.config.maxAgeHours = maxAgeHours
+    savePersistenceConfig()
+    persistAllTopics()
+}
+
+// #endregion
+
+// #region --- Publishing ---
+
+/** Topics whose retained message we have asked the broker to clear
+ * The broker forwards the zero-length clearing message to current subscribers, so it
+ * comes back to us and must not re-create the topic we have just removed.
+ * @type {Set<string>}
+ */
+const pendingRetainedClears = new Set()
+
+/** Publishes a message using the active transport
+ * @param {PublishMsg} pubMsg - The message to publish
+ * @returns {boolean} True if the message was handed to the transport
+ */
+function publishMessage(pubMsg) {
+    try {
+        activeTransport.publish(pubMsg)
+        return true
+    } catch (err) {
+        alert(`Unable to publish to "${pubMsg.topic}": ${err.message}`)
+        return false
+    }
+}
+
+/** Variables that can be used in publish payloads and correlation data, e.g. `{{timestamp}}`
+ * Each is worked out afresh for every publish.
+ * @type {{[name: string]: function(string): string}}
+ */
+const PUBLISH_VARIABLES = {
+    timestamp: () => new Date().toISOString(),
+    epoch: () => String(Date.now()),
+    uuid: () => createUuid(),
+    random: () => String(Math.random()),
+    topic: topic => topic,
+}
+
+/** Creates a random (version 4) UUID
+ * `crypto.randomUUID()` is only available to pages served over HTTPS or from localhost.
+ * @returns {string} The UUID
+ */
+function createUuid() {
+    if (crypto.randomUUID) return crypto.randomUUID()
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+/** Replaces the `{{name}}` variables in publish text with their values
+ * @param {string} text - The text as entered
+ * @param {string} topic - Topic being published to, for `{{topic}}`
+ * @returns {string} The text with the variables replaced
+ * @throws {Error} If the text uses an unknown variable
+ */
+function expandPublishVariables(text, topic) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (!Object.hasOwn(PUBLISH_VARIABLES, name)) {
+            const known = Object.keys(PUBLISH_VARIABLES)
+                .map(key => `{{${key}}}`)
+                .join(', ')
+            throw new Error(`Unknown variable ${match}, use one of ${known}`)
+        }
+        return PUBLISH_VARIABLES[name](topic)
+    })
+}
+
+/** Converts a publish template into the message to publish, working out any variables
+ * @param {PublishTemplate} template - The template
+ * @returns {PublishMsg} The message
+ * @throws {Error} If the template is not valid
+ */
+function toPublishMsg(template) {
+    const topic = template.topic.trim()
+    if (!topic) throw new Error('Topic is required')
+
+    const properties = {
+        ...template.properties,
+        correlationData: expandPublishVariables(template.properties.correlationData, topic),
+    }
+
+    return {
+        topic,
+        payload: parsePublishValue(template.type, expandPublishVariables(template.value, topic)),
+        qos: template.qos,
+        retain: template.retain,
+        ...parsePublishProperties(properties),
+    }
+}
+
+/** How the value in the publish form is turned into the payload
+ * @typedef {'string'|'number'|'boolean'|'json'|'base64'} PayloadType
+ */
+
+/** Converts the value entered in the publish form into the payload to publish
+ * @param {PayloadType} type - The payload type
+ * @param {string} value - The value as entered
+ * @returns {string|number|boolean|object|Uint8Array|null} The payload
+ * @throws {Error} If the value is not valid for the payload type
+ */
+function parsePublishValue(type, value) {
+    switch (type) {
+        case 'number': {
+            const trimmed = value.trim()
+            const number = Number(trimmed)
+            if (trimmed === '' || !Number.isFinite(number)) throw new Error('Enter a number, e.g. 42 or -1.5e3')
+            return number
+        }
+
+        case 'boolean': {
+            const trimmed = value.trim().toLowerCase()
+            if (trimmed === 'true') return true
+            if (trimmed === 'false') return false
+            throw new Error('Enter true or false')
+        }
+
+        case 'json': {
+            if (value.trim() === '') throw new Error('Enter a JSON value')
+            try {
+                return JSON.parse(value)
+            } catch (err) {
+                throw new Error(describeJsonError(err, value))
+            }
+        }
+
+        case 'base64': {
+            try {
+                return base64ToBytes(value)
+            } catch {
+                throw new Error('Enter base64 encoded bytes, e.g. AQID')
+            }
+        }
+
+        default: {
+            return value
+        }
+    }
+}
+
+/** Describes a JSON syntax error, adding the line and column if the browser only gives the position
+ * @param {SyntaxError} err - The error thrown by `JSON.parse()`
+ * @param {string} text - The text that was parsed
+ * @returns {string} Description of the error
+ */
+function describeJsonError(err, text) {
+    const position = err.message.match(/at position (\d+)/)
+    if (!position || /line \d+ column \d+/.test(err.message)) return `Invalid JSON: ${err.message}`
+
+    const lines = text.slice(0, Number(position[1])).split('\n')
+    return `Invalid JSON: ${err.message} (line ${lines.length}, column ${lines[lines.length - 1].length + 1})`
+}
+
+/** Converts the MQTT v5 properties entered in the publish form into those of the message to publish
+ * Blank properties are left out.
+ * @param {PublishPropertiesDraft} properties - The properties as entered
+ * @returns {{contentType?: string, responseTopic?: string, correlationData?: Uint8Array, messageExpiryInterval?: number, userProperties?: {[name: string]: string|string[]}}} The properties
+ * @throws {Error} Listing any properties that are not valid
+ */
+function parsePublishProperties(properties) {
+    const parsed = {}
+    const problems = []
+
+    if (properties.contentType !== '') parsed.contentType = properties.contentType
+
+    const responseTopic = properties.responseTopic.trim()
+    if (responseTopic !== '') {
+        if (/[+#]/.test(responseTopic)) problems.push('The response topic must not contain wildcards')
+        parsed.responseTopic = responseTopic
+    }
+
+    // Correlation data is binary, it is entered as text and sent UTF-8 encoded
+    if (properties.correlationData !== '') parsed.correlationData = new TextEncoder().encode(properties.correlationData)
+
+    const expiry = properties.messageExpiryInterval.trim()
+    if (expiry !== '') {
+        const seconds = Number(expiry)
+        if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_MESSAGE_EXPIRY_INTERVAL) {
+            problems.push(`The message expiry must be a whole number of seconds from 0 to ${MAX_MESSAGE_EXPIRY_INTERVAL}`)
+        }
+        parsed.messageExpiryInterval = seconds
+    }
+
+    // A name can be given more than once, its values are then sent as an array
+    const userProperties = {}
+    for (const [name, value] of properties.userProperties) {
+        if (name === '' && value === '') continue
+        if (name === '') {
+            problems.push(`The user property with value "${value}" needs a name`)
+            continue
+        }
+        userProperties[name] = name in userProperties ? [].concat(userProperties[name], value) : value
+    }
+    if (Object.keys(userProperties).length > 0) parsed.userProperties = userProperties
+
+    if (problems.length > 0) throw new Error(problems.join('\n'))
+    return parsed
+}
+
+/** Works out the publish form content for a message, picking the payload type that reproduces it
+ * @param {string} topicPath - Topic whose detail panel the form is in
+ * @param {TopicMessage} [msg] - The message, if there is one
+ * @returns {PublishDraft} The form content
+ */
+function toPublishDraft(topicPath, msg) {
+    const draft = {
+        topicPath,
+        open: false,
+        topic: topicPath,
+        type: 'string',
+        value: '',
+        qos: 0,
+        retain: false,
+        properties: {
+            open: false,
+            contentType: '',
+            responseTopic: '',
+            correlationData: '',
+            messageExpiryInterval: '',
+            userProperties: [],
+        },
+        presetId: '',
+        presetName: '',
+        historyOpen: false,
+    }
+    if (!msg) return draft
+
+    const { payload, parsed, } = msg
+    draft.qos = msg.qos
+    draft.retain = msg.retain
+
+    const bytes = toBytes(payload)
+    if (bytes) {
+        draft.type = 'base64'
+        draft.value = bytesToBase64(bytes)
+    } else if (typeof payload === 'string' && msg.decoder !== 'json') {
+        // Shown decoded as e.g. hex, but it is the original text that reproduces the message
+        draft.value = payload
+    } else if (typeof parsed === 'number' || typeof parsed === 'boolean') {
+        draft.type = typeof parsed
+        draft.value = String(parsed)
+    } else if (typeof parsed === 'string') {
+        draft.value = parsed
+    } else {
+        draft.type = 'json'
+        draft.value = JSON.stringify(parsed, null, 2) ?? ''
+    }
+
+    // Republishing a request should keep its MQTT v5 properties, e.g. the response topic and correlation data
+    const { properties, } = draft
+    if (msg.contentType !== undefined) properties.contentType = String(msg.contentType)
+    if (msg.responseTopic !== undefined) properties.responseTopic = String(msg.responseTopic)
+    if (msg.correlationData !== undefined) properties.correlationData = bufferToString(msg.correlationData)
+    if (msg.messageExpiryInterval !== undefined) properties.messageExpiryInterval = String(msg.messageExpiryInterval)
+    for (const [name, value] of Object.entries(msg.userProperties ?? {})) {
+        for (const item of [].concat(value)) properties.userProperties.push([name, String(item)])
+    }
+    properties.open = properties.userProperties.length > 0
+        || [properties.contentType, properties.responseTopic, properties.correlationData, properties.messageExpiryInterval]
+            .some(value => value !== '')
+
+    return draft
+}
+
+/** Clears retained messages on the broker by publishing zero-length retained payloads
+ * @param {string[]} topicPaths - Topics whose retained message should be cleared
+ * @param {boolean} [ignoreEcho] - Ignore the zero-length messages when they come back from the broker,
+ *   set when the topics have been removed from the explorer
+ */
+function clearRetainedOnBroker(topicPaths, ignoreEcho = true) {
+    for (const topic of topicPaths) {
+        if (ignoreEcho) pendingRetainedClears.add(topic)
+        publishMessage({
+            topic,
+            payload: '',
+            qos: 0,
+            retain: true,
+        })
+    }
+}
+
+/** Checks whether a payload is zero-length (as used to clear a retained message)
+ * @param {unknown} payload - The payload to check
+ * @returns {boolean} True if the payload is empty
+ */
+function isEmptyPayload(payload) {
+    if (payload === '' || payload === null) return true
+    if (payload && typeof payload === 'object' && payload.type === 'Buffer' && Array.isArray(payload.data)) {
+        return payload.data.length === 0
+    }
+    return (payload instanceof ArrayBuffer || ArrayBuffer.isView(payload)) && payload.byteLength === 0
+}
+
+// #endregion
+
+// #region --- Publish Presets & History ---
+
+/** What is needed to publish a message again - the publish form content, with any variables not yet worked out
+ * @typedef {object} PublishTemplate
+ * @property {string} topic - Topic to publish to
+ * @property {PayloadType} type - How the value is turned into the payload
+ * @property {string} value - The value as entered
+ * @property {number} qos - MQTT Quality of Service level
+ * @property {boolean} retain - Whether the broker should retain the message
+ * @property {PublishPropertiesDraft} properties - MQTT v5 properties as entered
+ */
+
+/** @typedef {object} PublishPreset
+ * @property {string} id - Unique preset id
+ * @property {string} name - Display name
+ * @property {PublishTemplate} template - What to publish
+ */
+
+/** @typedef {object} PublishHistoryEntry
+ * @property {string} sent - ISO timestamp when the message was published
+ * @property {PublishTemplate} template - What was published
+ */
+
+/** Saved publish presets
+ * @type {PublishPreset[]}
+ */
+let publishPresets = []
+
+/** Recent publishes, newest first
+ * @type {PublishHistoryEntry[]}
+ */
+let publishHistory = []
+
+/** Loads the saved publish presets and history */
+function loadPublishPresets() {
+    publishPresets = uibuilder.getStore(STORE_KEY_PUBLISH_PRESETS) ?? []
+    publishHistory = uibuilder.getStore(STORE_KEY_PUBLISH_HISTORY) ?? []
+}
+
+/** Takes the template out of the publish form content
+ * @param {PublishDraft} draft - The publish form content
+ * @returns {PublishTemplate} The template
+ */
+function toPublishTemplate(draft) {
+    const { topic, type, value, qos, retain, properties, } = draft
+    return {
+        topic,
+        type,
+        value,
+        qos,
+        retain,
+        properties: { ...properties, open: false, },
+    }
+}
+
+/** Publishes a template and adds it to the publish history
+ * @param {PublishTemplate} template - What to publish
+ * @returns {boolean} True if the message was published
+ * @throws {Error} If the template is not valid
+ */
+function sendPublishTemplate(template) {
+    if (!publishMessage(toPublishMsg(template))) return false
+
+    publishHistory.unshift({ sent: new Date().toISOString(), template, })
+    publishHistory.length = Math.min(publishHistory.length, PUBLISH_HISTORY_SIZE)
+    uibuilder.setStore(STORE_KEY_PUBLISH_HISTORY, publishHistory)
+    return true
+}
+
+/** Renders the options of the publish preset selector
+ * @param {string} selectedId - Id of the preset to select, blank for none
+ * @returns {string} The options HTML
+ */
+function renderPublishPresetOptions(selectedId) {
+    return '<option value="">Choose a preset…</option>' + publishPresets
+        .map(preset => `<option value="${escapeHtml(preset.id)}" ${preset.id === selectedId ? 'selected' : ''}>${escapeHtml(preset.name)}</option>`)
+        .join('')
+}
+
+/** Renders the publish history list
+ * @returns {string} The list items HTML
+ */
+function renderPublishHistory() {
+    if (publishHistory.length === 0) return '<li class="publish-history-empty">Nothing published yet.</li>'
+
+    return publishHistory.map(({ sent, template, }, i) => `
+        <li>
+            <span class="publish-history-time">${new Date(sent).toLocaleTimeString()}</span>
+            <span class="publish-history-topic">${escapeHtml(template.topic)}</span>
+            <span class="publish-history-value" title="${escapeHtml(template.value)}">${escapeHtml(formatValuePreview(template.value, 40))}</span>
+            <button type="button" class="publish-history-resend" data-index="${i}" title="Publish this again">Resend</button>
+            <button type="button" class="publish-history-load" data-index="${i}" title="Copy this into the publish form">Edit</button>
+        </li>
+    `).join('')
+}
+
+/** Refreshes the presets and history shown in a publish section
+ * @param {HTMLElement} section - The publish section
+ * @param {string} selectedId - Id of the preset to select, blank for none
+ */
+function refreshPublishPresets(section, selectedId) {
+    section.querySelector('#publishPreset').innerHTML = renderPublishPresetOptions(selectedId)
+    section.querySelector('.publish-history-list').innerHTML = renderPublishHistory()
+    section.querySelector('.publish-history h4').textContent = `Recent publishes (${publishHistory.length})`
+}
+
+/** Loads a preset into the publish form
+ * @param {HTMLElement} section - The publish section
+ * @param {string} presetId - Id of the preset
+ */
+function loadPublishPreset(section, presetId) {
+    const preset = publishPresets.find(item => item.id === presetId)
+    if (!preset) return
+
+    fillPublishForm(section, {
+        ...readPublishDraft(section.dataset.topic),
+        ...structuredClone(preset.template),
+        presetId,
+        presetName: preset.name,
+    })
+}
+
+/** Saves the publish form as a preset, replacing any preset with the same name
+ * @param {HTMLElement} section - The publish section
+ */
+function savePublishPresetAction(section) {
+    const draft = readPublishDraft(section.dataset.topic)
+    const name = draft.presetName.trim()
+    if (!name) {
+        alert('Enter a name for the preset')
+        section.querySelector('#publishPresetName').focus()
+        return
+    }
+
+    let preset = publishPresets.find(item => item.name === name)
+    if (preset) {
+        if (preset.id !== draft.presetId && !confirm(`Replace the preset "${name}"?`)) return
+        preset.template = toPublishTemplate(draft)
+    } else {
+        preset = {
+            id: `preset-${Date.now().toString(36)}`,
+            name,
+            template: toPublishTemplate(draft),
+        }
+        publishPresets.push(preset)
+        publishPresets.sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    uibuilder.setStore(STORE_KEY_PUBLISH_PRESETS, publishPresets)
+    refreshPublishPresets(section, preset.id)
+}
+
+/** Deletes the preset chosen in the publish form
+ * @param {HTMLElement} section - The publish section
+ */
+function deletePublishPresetAction(section) {
+    const presetId = section.querySelector('#publishPreset').value
+    const preset = publishPresets.find(item => item.id === presetId)
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return
+
+    publishPresets = publishPresets.filter(item => item !== preset)
+    uibuilder.setStore(STORE_KEY_PUBLISH_PRESETS, publishPresets)
+    section.querySelector('#publishPresetName').value = ''
+    refreshPublishPresets(section, '')
+}
+
+/** Publishes an entry from the publish history again
+ * @param {HTMLElement} section - The publish section showing the history
+ * @param {number} index - Index of the entry
+ */
+function resendPublishAction(section, index) {
+    const entry = publishHistory[index]
+    if (!entry) return
+
+    try {
+        sendPublishTemplate(entry.template)
+    } catch (err) {
+        alert(`Unable to publish to "${entry.template.topic}": ${err.message}`)
+        return
+    }
+    refreshPublishPresets(section, section.querySelector('#publishPreset').value)
+}
+
+// #endregion
+
+// #region --- Data Management ---
+
+/** Lists the topics in a subtree whose current value came from a retained message
+ * @param {TopicNode} node - Root of the subtree
+ * @param {string} topicPath - Full topic path of the subtree root
+ * @returns {string[]} Topic paths with a retained current value
+ */
+function getRetainedTopics(node, topicPath) {
+    const retained = []
+    if (node.messages[0]?.retain) retained.push(topicPath)
+    walkTopicStore((childPath, child) => {
+        if (child.messages[0]?.retain) retained.push(childPath)
+    }, node.children, topicPath)
+    return retained
+}
+
+/** Shows the default content of the detail panel */
+function resetDetailPanel() {
+    elDetailContent.textContent = 'Click on a topic to see message details here.'
+}
+
+/** Re-renders the topic tree from scratch after wholesale changes to the store */
+function rebuildTopicTree() {
+    pendingTopicUpdates.clear()
+    changedTopics.clear()
+    treeView.expanded.clear()
+    treeView.selected = null
+    treeView.focused = null
+    treeView.rendered.clear()
+    elTopicRows.textContent = ''
+    resetDetailPanel()
+    rebuildTopicRows()
+    renderWatchList()
+    if (topicFilter.matcher) setTopicFilter(topicFilter.pattern, topicFilter.mode)
+    updateStatsDisplay()
+}
+
+/** Clears the stored message history of a topic and refreshes the UI
+ * @param {string} topicPath - Full topic path
+ */
+function clearHistoryAction(topicPath) {
+    const node = clearStoredHistory(topicPath.split('/'))
+    if (!node) return
+
+    refreshTopicRow(topicPath)
+    updateWatchList([topicPath])
+    persistTopics([topicPath])
+    renderDetailPanel(node, topicPath)
+    updateStatsDisplay()
+}
+
+/** Removes a topic and its subtree and refreshes the UI
+ * If any of the removed topics hold retained messages, offers to clear them on the broker too,
+ * otherwise they would re-appear the next time the topics are subscribed to.
+ * @param {string} topicPath - Full topic path
+ */
+function removeTopicAction(topicPath) {
+    const topicParts = topicPath.split('/')
+    const node = getTopicNode(topicParts)
+    if (!node) return
+
+    const retained = getRetainedTopics(node, topicPath)
+    const clearOnBroker = retained.length > 0 && confirm(
+        `${retained.length} of the removed topic(s) hold a retained message on the broker.\n\n`
+        + 'Also clear the retained message(s) on the broker?'
+    )
+
+    const removedPath = removeStoredTopic(topicParts)
+    if (!removedPath) return
+
+    if (clearOnBroker) clearRetainedOnBroker(retained)
+
+    removeRenderedTopic(removedPath)
+    persistRemovedTopic(removedPath)
+    resetDetailPanel()
+    if (topicFilter.matcher) setTopicFilter(topicFilter.pattern, topicFilter.mode)
+    updateStatsDisplay()
+}
+
+/** Clears the retained messages of a topic and its subtree on the broker
+ * The topics stay in the explorer. The zero-length messages that come back from the broker
+ * become their current (not retained) values.
+ * @param {string} topicPath - Full topic path
+ */
+function clearRetainedAction(topicPath) {
+    const node = getTopicNode(topicPath.split('/'))
+    if (!node) return
+
+    const retained = getRetainedTopics(node, topicPath)
+    if (retained.length === 0) return
+    if (!confirm(`Clear ${retained.length} retained message(s) under "${topicPath}" on the broker?`)) return
+
+    clearRetainedOnBroker(retained, false)
+}
+
+/** Removes all topics and messages from the explorer */
+function clearAllAction() {
+    if (stats.totalTopics === 0) return
+    if (!confirm(`Remove all ${stats.totalTopics} topic(s) and ${stats.totalMessages} message(s) from the explorer?`)) return
+
+    resetExplorer()
+}
+
+/** Empties the topic store and the UI */
+function resetExplorer() {
+    clearTopicStore()
+    startIngestEpoch()
+    rebuildTopicTree()
+    persistAllTopics()
+}
+
+// #endregion
+
+// #region --- Export ---
+
+/** @typedef {object} ExportFormat
+ * @property {string} mimeType - MIME type of the downloaded file
+ * @property {string} extension - File name extension
+ * @property {function(Array<{topic: string, node: TopicNode}>, string): string} serialize - Converts matching topics to file content
+ */
+
+/** Checks that an MQTT topic filter is well-formed
+ * `+` and `#` must occupy a whole level and `#` must be the last level.
+ * @param {string} filter - The topic filter
+ * @returns {boolean} True if the filter is valid
+ */
+function isValidTopicFilter(filter) {
+    if (!filter) return false
+    const parts = filter.split('/')
+    return parts.every((part, i) => {
+        if (part === '#') return i === parts.length - 1
+        return part === '+' || !/[+#]/.test(part)
+    })
+}
+
+/** Collects the topics with messages that match an MQTT topic filter
+ * @param {string} [filter] - MQTT topic filter, all topics if not given
+ * @returns {Array<{topic: string, node: TopicNode}>} Matching topics in store order
+ */
+function collectExportTopics(filter) {
+    const topics = []
+    walkTopicStore((topic, node) => {
+        if (node.messages.length > 0 && (!filter || mqttTopicMatches(filter, topic))) {
+            topics.push({ topic, node, })
+        }
+    })
+    return topics
+}
+
+/** Converts a stored message to a plain exportable message
+ * The payload is exported as received, followed by the value shown using the topic's decoder.
+ * Undefined MQTT v5 properties are dropped by JSON serialisation.
+ * @param {TopicMessage} msg - The stored message
+ * @returns {object} All stored message properties with the decoded payload
+ */
+function toExportMessage(msg) {
+    const { parsed, decoder, decodeError, ...storedMsg } = msg
+    return {
+        ...storedMsg,
+        decoder,
+        decoded: parsed,
+    }
+}
+
+/** Converts a stored message to a plain exportable record
+ * @param {string} topic - Full topic path
+ * @param {TopicMessage} msg - The stored message
+ * @returns {object} Record with the topic and the exported message, see `toExportMessage()`
+ */
+function toExportRecord(topic, msg) {
+    return {
+        topic,
+        ...toExportMessage(msg),
+    }
+}
+
+/** Flattens matching topics into a list of records, oldest message first
+ * @param {Array<{topic: string, node: TopicNode}>} topics - Topics to export
+ * @returns {object[]} Records in chronological order
+ */
+function flattenExportRecords(topics) {
+    const records = []
+    for (const { topic, node, } of topics) {
+        for (const msg of node.messages) {
+            records.push(toExportRecord(topic, msg))
+        }
+    }
+    return records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+}
 
-    if (!topic) {
-        alert('Topic is required')
+/** Quotes a value for a CSV cell if needed
+ * @param {unknown} value - The cell value
+ * @returns {string} CSV-safe cell content
+ */
+function toCsvCell(value) {
+    const text = value === undefined || value === null
+        ? ''
+        : (typeof value === 'object' ? JSON.stringify(value) : String(value))
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** Supported export formats
+ * @type {{[format: string]: ExportFormat}}
+ */
+const EXPORT_FORMATS = {
+    // Nested JSON mirroring the topic hierarchy
+    json: {
+        mimeType: 'application/json',
+        extension: 'json',
+        serialize: (topics, filter) => {
+            // Without prototypes so that topic levels like `__proto__` are ordinary keys
+            const tree = Object.create(null)
+            for (const { topic, node, } of topics) {
+                let level = tree
+                let entry = null
+                for (const part of topic.split('/')) {
+                    if (!level[part]) level[part] = { children: Object.create(null), }
+                    entry = level[part]
+                    level = entry.children
+                }
+                entry.messages = node.messages.map(toExportMessage).reverse()
+            }
+            return JSON.stringify({
+                exported: new Date().toISOString(),
+                filter: filter || '#',
+                topics: tree,
+            }, null, 2)
+        },
+    },
+    // Flat CSV, one row per message
+    csv: {
+        mimeType: 'text/csv',
+        extension: 'csv',
+        serialize: (topics) => {
+            const columns = ['topic', 'timestamp', 'qos', 'retain', 'payload', 'decoder', 'decoded']
+            const rows = flattenExportRecords(topics)
+                .map(record => columns.map(col => toCsvCell(record[col])).join(','))
+            return [columns.join(','), ...rows].join('\r\n') + '\r\n'
+        },
+    },
+    // Newline delimited JSON, one message per line
+    ndjson: {
+        mimeType: 'application/x-ndjson',
+        extension: 'ndjson',
+        serialize: (topics) => {
+            const lines = flattenExportRecords(topics).map(record => JSON.stringify(record))
+            return lines.join('\n') + '\n'
+        },
+    },
+}
+
+/** Triggers a browser download of some text content
+ * @param {string} content - The file content
+ * @param {string} fileName - The suggested file name
+ * @param {string} mimeType - The file MIME type
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType, }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // Give the browser a chance to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/** Exports the topics matching a filter as a downloaded file
+ * @param {string} filter - MQTT topic filter, blank for all topics
+ * @param {string} format - 'json', 'csv' or 'ndjson'
+ */
+function exportTopics(filter, format) {
+    if (filter && !isValidTopicFilter(filter)) {
+        alert(`"${filter}" is not a valid MQTT topic filter`)
+        return
+    }
+
+    const exportFormat = EXPORT_FORMATS[format] ?? EXPORT_FORMATS.json
+    const topics = collectExportTopics(filter)
+    if (topics.length === 0) {
+        alert(filter ? `No messages stored for topics matching "${filter}"` : 'No messages stored')
         return
     }
 
-    // Try to parse value as JSON, otherwise send as string
-    let payload
+    const stamp = new Date().toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\..*$/, '')
+    downloadFile(exportFormat.serialize(topics, filter), `mqtt-export-${stamp}.${exportFormat.extension}`, exportFormat.mimeType)
+}
+
+// #endregion
+
+// #region --- Import & Replay ---
+
+/** @typedef {object} ReplayState
+ * @property {object[]} records - Captured messages in chronological order
+ * @property {number} index - Index of the next record to replay
+ * @property {boolean} active - True while a capture is loaded (live messages are ignored)
+ * @property {boolean} playing - True while records are being fed on a timer
+ * @property {number|null} timer - Pending replay timeout ID
+ */
+
+/** Current replay state
+ * @type {ReplayState}
+ */
+const replay = {
+    records: [],
+    index: 0,
+    active: false,
+    playing: false,
+    timer: null,
+}
+
+/** Converts a capture file into a list of message records
+ * Accepts the explorer's nested JSON export, a JSON array of records or NDJSON.
+ * @param {string} text - The file content
+ * @returns {object[]} Records ({topic, timestamp, payload, …}) in chronological order
+ * @throws {SyntaxError} If the content is not a recognised capture format
+ */
+function parseCaptureFile(text) {
+    let records = []
+    let data
+
     try {
-        payload = JSON.parse(value)
+        data = JSON.parse(text)
     } catch {
-        payload = value
+        // Not a single JSON document so should be NDJSON
+        records = text.split(/\r?\n/)
+            .filter(line => line.trim() !== '')
+            .map(line => JSON.parse(line))
     }
 
-    uibuilder.send({
-        cmd,
-        topic,
-        payload,
-        qos,
-        retain,
-    })
-})
+    if (Array.isArray(data)) {
+        records = data
+    } else if (data && typeof data === 'object' && data.topics) {
+        // Nested export - walk the hierarchy back into flat records
+        const walk = (level, pathPrefix) => {
+            for (const [name, entry] of Object.entries(level)) {
+                const topic = pathPrefix ? `${pathPrefix}/${name}` : name
+                for (const msg of entry.messages ?? []) {
+                    records.push({ topic, ...msg, })
+                }
+                if (entry.children) walk(entry.children, topic)
+            }
+        }
+        walk(data.topics, '')
+    } else if (data !== undefined) {
+        records = [data]
+    }
 
-// Event delegation for topic tree - handles both lazy-loading and selection
-elTopicTree.addEventListener('toggle', (event) => {
-    const details = event.target
-    if (details.tagName !== 'DETAILS') return
+    records = records.filter(record => record && typeof record.topic === 'string' && record.topic !== '')
+    if (records.length === 0) throw new SyntaxError('No MQTT messages found in the file')
 
-    const fullPath = details.dataset.topicPath
-    if (!fullPath) return
+    return records.sort((a, b) => (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0))
+}
 
-    const topicParts = fullPath.split('/')
-    const node = getTopicNode(topicParts)
-    if (!node) return
+/** Converts a capture record back into a msg as it would have arrived from Node-RED
+ * @param {object} record - Captured message record
+ * @returns {object} The msg object
+ */
+function recordToMsg(record) {
+    const { timestamp, ...msg } = record
+    msg.lastUpdate = timestamp
+    return msg
+}
+
+/** Updates the replay buttons and status text */
+function updateReplayControls() {
+    const remaining = replay.records.length - replay.index
+    elReplayPlayBtn.disabled = !replay.active || remaining === 0 || elReplaySpeed.value === 'step'
+    elReplayPlayBtn.textContent = replay.playing ? 'Pause' : 'Play'
+    elReplayStepBtn.disabled = !replay.active || remaining === 0
+    elReplayStopBtn.disabled = !replay.active
+
+    if (!replay.active) {
+        elReplayStatus.textContent = ''
+    } else if (remaining === 0) {
+        elReplayStatus.textContent = `Replayed ${replay.records.length} message(s) - live messages paused until stopped`
+    } else {
+        elReplayStatus.textContent = `Replay: ${replay.index}/${replay.records.length}${replay.playing ? '' : ' (paused)'}`
+    }
+}
+
+/** Feeds the next captured message into the explorer
+ * @returns {boolean} False if there was nothing left to replay
+ */
+function replayNext() {
+    const record = replay.records[replay.index]
+    if (!record) return false
+
+    replay.index++
+    handleIncomingMsg(recordToMsg(record))
+    return true
+}
+
+/** Schedules the next replayed message according to the selected speed */
+function scheduleReplay() {
+    const speed = Number(elReplaySpeed.value)
+
+    if (!speed) {
+        // Instant - feed everything that is left
+        while (replayNext()) { /* keep going */ }
+        pauseReplay()
+        return
+    }
+
+    const current = replay.records[replay.index - 1]
+    const next = replay.records[replay.index]
+    if (!next) {
+        pauseReplay()
+        return
+    }
+
+    const gap = current ? (Date.parse(next.timestamp) - Date.parse(current.timestamp)) || 0 : 0
+    replay.timer = setTimeout(() => {
+        replay.timer = null
+        replayNext()
+        updateReplayControls()
+        scheduleReplay()
+    }, Math.min(Math.max(gap, 0) / speed, MAX_REPLAY_GAP_MS))
+}
+
+/** Starts or resumes replaying on a timer */
+function playReplay() {
+    if (!replay.active || replay.playing || elReplaySpeed.value === 'step') return
+
+    replay.playing = true
+    scheduleReplay()
+    updateReplayControls()
+}
+
+/** Pauses a timed replay */
+function pauseReplay() {
+    clearTimeout(replay.timer)
+    replay.timer = null
+    replay.playing = false
+    updateReplayControls()
+}
+
+/** Ends the replay, returning the explorer to live messages (the replayed data is kept) */
+function stopReplay() {
+    pauseReplay()
+    replay.records = []
+    replay.index = 0
+    replay.active = false
+    updateReplayControls()
+}
+
+/** Loads a capture file, rebuilding the explorer from it
+ * @param {File} file - The capture file chosen by the user
+ */
+async function importCapture(file) {
+    let records
+    try {
+        records = parseCaptureFile(await file.text())
+    } catch (err) {
+        alert(`Unable to import "${file.name}": ${err.message}`)
+        return
+    }
+
+    if (stats.totalTopics > 0 && !confirm(`Importing replaces the ${stats.totalTopics} topic(s) currently shown. Continue?`)) return
+
+    stopReplay()
+    resetExplorer()
+
+    replay.records = records
+    replay.active = true
+
+    if (elReplaySpeed.value === 'step') {
+        updateReplayControls()
+    } else {
+        playReplay()
+    }
+}
+
+// #endregion
+
+// #region --- Event Handlers ---
+
+// Event delegation for topic data management actions in the detail panel
+elDetailContent.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-action]')
+    if (!button) return
+
+    const topicPath = button.closest('.topic-actions')?.dataset.topic
+    if (!topicPath) return
 
-    if (details.open) {
-        // Lazy-load children when expanded
-        const childContainer = details.querySelector(':scope > .topic-children')
-        if (childContainer && childContainer.children.length === 0 && node.children.size > 0) {
-            renderTopicLevel(node.children, childContainer, fullPath)
+    switch (button.dataset.action) {
+        case 'clear-history': {
+            clearHistoryAction(topicPath)
+            break
         }
 
-        // Show detail panel if topic has messages
-        if (node.messages.length > 0) {
-            elTopicTree.querySelectorAll('.selected').forEach((el) => {
-                el.classList.remove('selected')
-            })
-            details.classList.add('selected')
-            renderDetailPanel(node, fullPath)
+        case 'remove-topic': {
+            removeTopicAction(topicPath)
+            break
+        }
+
+        case 'clear-retained': {
+            clearRetainedAction(topicPath)
+            break
+        }
+
+        case 'export-topic': {
+            exportTopics(topicPath, elExportFormat.value)
+            break
+        }
+
+        case 'export-subtree': {
+            exportTopics(`${topicPath}/#`, elExportFormat.value)
+            break
+        }
+
+        case 'pin-topic': {
+            if (watchPins.includes(topicPath)) {
+                unpinTopicAction(topicPath)
+            } else {
+                pinTopicAction(topicPath)
+            }
+            button.setAttribute('aria-pressed', watchPins.includes(topicPath))
+            break
+        }
+
+        default: {
+            break
         }
     }
+})
+
+elClearAll.addEventListener('click', clearAllAction)
+
+elExportBtn.addEventListener('click', () => {
+    exportTopics(elExportFilter.value.trim(), elExportFormat.value)
+})
+
+elImportBtn.addEventListener('click', () => elImportFile.click())
+elImportFile.addEventListener('change', () => {
+    const file = elImportFile.files[0]
+    // Reset so that choosing the same file again still fires a change
+    elImportFile.value = ''
+    if (file) importCapture(file)
+})
+
+elReplayPlayBtn.addEventListener('click', () => {
+    if (replay.playing) {
+        pauseReplay()
+    } else {
+        playReplay()
+    }
+})
+
+elReplayStepBtn.addEventListener('click', () => {
+    pauseReplay()
+    replayNext()
+    updateReplayControls()
+})
+
+elReplayStopBtn.addEventListener('click', stopReplay)
+
+elConnectBtn.addEventListener('click', connectAction)
+elProfileSaveBtn.addEventListener('click', saveProfileAction)
+elProfileNewBtn.addEventListener('click', newProfileAction)
+elProfileDeleteBtn.addEventListener('click', deleteProfileAction)
+elProfileSelect.addEventListener('change', () => showProfile(getProfile(elProfileSelect.value)))
+
+elAddOverrideBtn.addEventListener('click', () => addOverrideRow({ filter: '', }))
+
+// Event delegation for the remove override buttons
+elSettingsOverrides.addEventListener('click', (event) => {
+    if (event.target.dataset?.removeOverride === undefined) return
+    event.target.closest('tr').remove()
+})
+
+elSaveSettingsBtn.addEventListener('click', () => {
+    const newSettings = readSettingsForm()
+    if (newSettings) applySettings(newSettings)
+})
+
+elPersistEnabled.addEventListener('change', () => setPersistenceEnabled(elPersistEnabled.checked))
+elSessionNewBtn.addEventListener('click', newSessionAction)
+elSessionOpenBtn.addEventListener('click', openSessionAction)
+elSessionDeleteBtn.addEventListener('click', deleteSessionAction)
+elPersistSaveBtn.addEventListener('click', savePersistenceBudgetAction)
+
+// Save anything pending when the page is closed or reloaded
+window.addEventListener('pagehide', () => flushPersistence())
+
+elResetSettingsBtn.addEventListener('click', () => {
+    applySettings(structuredClone(DEFAULT_SETTINGS))
+    showSettings()
+})
+
+elSubscribeBtn.addEventListener('click', () => {
+    subscribeAction(elSubscribeTopic.value.trim(), parseInt(elSubscribeQos.value, 10))
+})
+
+elWatchAddBtn.addEventListener('click', () => {
+    if (pinTopicAction(elWatchTopic.value.trim())) elWatchTopic.value = ''
+})
+
+// Event delegation for the watch list - unpin buttons and showing a topic in the details panel
+elWatchList.addEventListener('click', (event) => {
+    const pin = event.target.dataset?.unpin
+    if (pin !== undefined) {
+        unpinTopicAction(pin)
+        return
+    }
+
+    const item = event.target.closest('.watch-item')
+    if (item) revealTopic(item.dataset.topicPath)
+})
+
+// Event delegation for the unsubscribe buttons
+elSubscriptionList.addEventListener('click', (event) => {
+    const topic = event.target.dataset?.unsubscribe
+    if (topic === undefined) return
+    unsubscribeAction(topic, elPruneOnUnsubscribe.checked)
+})
+
+elReplaySpeed.addEventListener('change', () => {
+    // Restart any timed replay so the new speed takes effect immediately
+    if (replay.playing) {
+        pauseReplay()
+        playReplay()
+    }
+    updateReplayControls()
+})
+
+// Event delegation for message diffs - only worked out when first opened
+elDetailContent.addEventListener('toggle', (event) => {
+    const diff = event.target
+    if (!diff.classList?.contains('message-diff') || !diff.open || diff.dataset.loaded) return
+
+    const index = Number(diff.dataset.index)
+    const newerMsg = shownHistory[index]
+    const olderMsg = shownHistory[index + 1]
+    if (!newerMsg || !olderMsg) return
+
+    diff.dataset.loaded = 'true'
+    diff.querySelector('.message-diff-content').innerHTML = renderMessageDiff(olderMsg, newerMsg)
 }, true) // Use capture phase since toggle doesn't bubble
 
+// Live validation and highlighting of the publish value
+elDetailContent.addEventListener('input', (event) => {
+    if (event.target.id === 'publishValue') updatePayloadEditor(event.target.closest('.publish-section'))
+    if (event.target.closest('.publish-properties')) updatePublishProperties(event.target.closest('.publish-section'))
+})
+
+elDetailContent.addEventListener('change', (event) => {
+    if (event.target.id === 'publishType') updatePayloadEditor(event.target.closest('.publish-section'))
+    if (event.target.id === 'publishPreset') loadPublishPreset(event.target.closest('.publish-section'), event.target.value)
+    if (event.target.dataset.action === 'decode-as') setTopicDecoderAction(event.target.closest('.topic-actions').dataset.topic, event.target.value)
+})
+
+// Keep the highlighting lined up with the editor as it scrolls
+elDetailContent.addEventListener('scroll', (event) => {
+    if (event.target.id !== 'publishValue') return
+    event.target.closest('.payload-editor').querySelector('.payload-editor-highlight').scrollTop = event.target.scrollTop
+}, true) // Use capture phase since scroll doesn't bubble
+
+// Event delegation for the publish value format button and the history entries' republish buttons
+elDetailContent.addEventListener('click', (event) => {
+    if (event.target.id === 'publishFormatBtn') {
+        formatPublishValue(event.target.closest('.publish-section'))
+        return
+    }
+
+    if (event.target.id === 'publishAddUserPropertyBtn') {
+        const tbody = event.target.closest('.publish-properties').querySelector('.user-properties tbody')
+        addUserPropertyRow(tbody)
+        tbody.lastElementChild.querySelector('input').focus()
+        return
+    }
+
+    if (event.target.classList.contains('remove-user-property')) {
+        const section = event.target.closest('.publish-section')
+        event.target.closest('tr').remove()
+        updatePublishProperties(section)
+        return
+    }
+
+    const republishBtn = event.target.closest('.republish-btn')
+    if (republishBtn) loadIntoPublishForm(shownHistory[Number(republishBtn.dataset.index)])
+})
+
+// Event delegation for publish presets and the publish history
+elDetailContent.addEventListener('click', (event) => {
+    const section = event.target.closest('.publish-section')
+    if (!section) return
+
+    if (event.target.id === 'publishPresetSaveBtn') {
+        savePublishPresetAction(section)
+    } else if (event.target.id === 'publishPresetDeleteBtn') {
+        deletePublishPresetAction(section)
+    } else if (event.target.classList.contains('publish-history-resend')) {
+        resendPublishAction(section, Number(event.target.dataset.index))
+    } else if (event.target.classList.contains('publish-history-load')) {
+        const entry = publishHistory[Number(event.target.dataset.index)]
+        if (entry) fillPublishForm(section, { ...readPublishDraft(section.dataset.topic), ...structuredClone(entry.template), })
+    }
+})
+
+// Event delegation for publish button
+elDetailContent.addEventListener('click', (event) => {
+    if (event.target.id !== 'publishBtn') return
+
+    const section = event.target.closest('.publish-section')
+    if (!document.getElementById('publishTopic').value.trim()) {
+        alert('Topic is required')
+        return
+    }
+
+    // The value must be valid for the chosen payload type, the problem is shown under the editor
+    if (!updatePayloadEditor(section)) {
+        document.getElementById('publishValue').focus()
+        return
+    }
+    if (!updatePublishProperties(section)) {
+        section.querySelector('.publish-properties').open = true
+        return
+    }
+
+    if (sendPublishTemplate(toPublishTemplate(readPublishDraft(section.dataset.topic)))) {
+        refreshPublishPresets(section, section.querySelector('#publishPreset').value)
+    }
+})
+
+// Event delegation for topic tree rows - handles both expanding and selection
+elTopicTree.addEventListener('click', (event) => {
+    const row = event.target.closest('.topic-row')
+    if (!row) return
+
+    const topicPath = row.dataset.topicPath
+    const node = getTopicNode(topicPath.split('/'))
+    if (!node) return
+
+    treeView.focused = topicPath
+    if (node.children.size > 0 && treeView.expanded.has(topicPath)) {
+        collapseTopic(topicPath)
+        return
+    }
+
+    if (node.children.size > 0) expandTopic(topicPath)
+    selectTopic(topicPath)
+})
+
+// Keyboard navigation of the topic tree
+elTopicTree.addEventListener('keydown', (event) => {
+    const row = event.target.closest('.topic-row')
+    if (!row) return
+
+    if (handleTopicTreeKey(row.dataset.topicPath, event)) event.preventDefault()
+})
+
+// The tree itself is only focusable while the focused row is scrolled out of view, pass the focus on to the row
+elTopicTree.addEventListener('focus', (event) => {
+    if (event.target === elTopicTree) focusTopicRow(getTreeFocusTarget())
+})
+
+// Only the rows scrolled into view are rendered
+elTopicTree.addEventListener('scroll', scheduleVisibleRows, { passive: true, })
+window.addEventListener('resize', scheduleVisibleRows)
+
+// Message rates fall and topics go stale without any messages arriving, so refresh them regularly
+setInterval(() => {
+    expireTopicFilterMatches()
+    refreshRenderedRows()
+    refreshWatchList()
+
+    const activityEl = elDetailContent.querySelector('.topic-activity')
+    const node = treeView.selected ? getTopicNode(treeView.selected.split('/')) : null
+    if (activityEl && node) updateActivityInfo(activityEl, node, treeView.selected)
+}, ACTIVITY_REFRESH_MS)
+
+/** Schedules the topic filter to be re-applied once typing pauses */
+function scheduleFilter() {
+    clearTimeout(filterTimeout)
+    filterTimeout = setTimeout(() => {
+        filterTimeout = null
+        setTopicFilter(
+            elTopicSearch.value.trim(),
+            elTopicSearchMode.value,
+            Number(elTopicChangedWithin.value),
+            elTopicRetainedOnly.checked
+        )
+        updateUrlHash()
+    }, FILTER_DEBOUNCE_MS)
+}
+
+elTopicSearch.addEventListener('input', scheduleFilter)
+elTopicSearchMode.addEventListener('change', scheduleFilter)
+elTopicChangedWithin.addEventListener('change', scheduleFilter)
+elTopicRetainedOnly.addEventListener('change', scheduleFilter)
+
 // #endregion
 
 // #region --- Message Handler ---
@@ -889,16 +5408,16 @@ elTopicTree.addEventListener('toggle', (event) => {
  */
 let renderTimeout = null
 
-/** Debounce delay for rendering (ms)
- * @type {number}
- */
-const RENDER_DEBOUNCE_MS = 100
-
 /** Topics that need updating
  * @type {Set<string>}
  */
 const pendingTopicUpdates = new Set()
 
+/** Topics that have received messages since the last render, their rows are highlighted
+ * @type {Set<string>}
+ */
+const changedTopics = new Set()
+
 /** Debounced render function - batches rapid updates */
 function scheduleRender() {
     if (renderTimeout) return // Already scheduled
@@ -906,39 +5425,203 @@ function scheduleRender() {
     renderTimeout = setTimeout(() => {
         renderTimeout = null
 
-        // Re-render the topic tree (only updates changed nodes)
-        renderRootTopics()
+        // Keep filter matches live as new topics arrive
+        updateTopicFilter(pendingTopicUpdates)
+
+        // Only the paths of the changed topics are visited, the rest of the tree is untouched
+        for (const topicPath of pendingTopicUpdates) {
+            syncTopicRows(topicPath)
+        }
+        renderVisibleRows()
+        flashTopicRows(changedTopics)
+        changedTopics.clear()
+        updateStatsDisplay()
+        updateWatchList(pendingTopicUpdates)
+        revealPendingDeepLink()
 
         // If the currently selected topic was updated, refresh the detail panel
-        const selectedTopic = elTopicTree.querySelector('.selected')
-        if (selectedTopic && pendingTopicUpdates.has(selectedTopic.dataset.topicPath)) {
-            const topicPath = selectedTopic.dataset.topicPath
+        const topicPath = treeView.selected
+        if (topicPath && pendingTopicUpdates.has(topicPath)) {
             const topicParts = topicPath.split('/')
             const node = getTopicNode(topicParts)
             if (node) {
                 renderDetailPanel(node, topicPath)
+                announceSelectedValue()
             }
         }
 
+        persistTopics(pendingTopicUpdates)
+
         pendingTopicUpdates.clear()
-    }, RENDER_DEBOUNCE_MS)
+    }, settings.renderDebounceMs)
+}
+
+/** Web Worker that parses and stores incoming messages, null if messages are stored on this thread
+ * @type {Worker|null}
+ */
+let ingestWorker = null
+
+/** Increases whenever the topic store is replaced (e.g. emptied), so that batches for the old data are ignored
+ * @type {number}
+ */
+let ingestEpoch = 0
+
+/** Messages sent to the ingest worker that have not come back in a batch yet
+ * They are stored on this thread instead if the worker fails.
+ * @type {object[]}
+ */
+const unacknowledgedMsgs = []
+
+/** Starts the ingest worker. If the browser can't run it, messages are stored on this thread instead */
+function startIngestWorker() {
+    if (typeof Worker === 'undefined') return
+
+    try {
+        ingestWorker = new Worker(new URL('./ingest-worker.mjs', import.meta.url), { type: 'module', })
+    } catch (err) {
+        console.warn('[mqtt-explorer] Ingest worker not available, storing messages on the UI thread:', err)
+        return
+    }
+
+    ingestWorker.addEventListener('message', (event) => {
+        const batch = event.data
+        if (batch.type !== 'batch' || batch.epoch !== ingestEpoch) return
+
+        applyIngestBatch(batch)
+    })
+
+    // Also fires if the browser can't load the worker, e.g. no support for module workers
+    ingestWorker.addEventListener('error', (event) => {
+        event.preventDefault()
+        console.warn('[mqtt-explorer] Ingest worker failed, storing messages on the UI thread:', event.message)
+        ingestWorker.terminate()
+        ingestWorker = null
+
+        for (const msg of unacknowledgedMsgs.splice(0)) {
+            storeMessage(msg)
+            pendingTopicUpdates.add(msg.topic)
+            if (msg.payload !== undefined) changedTopics.add(msg.topic)
+        }
+        scheduleRender()
+    })
+
+    ingestWorker.postMessage({ type: 'settings', settings, })
+    ingestWorker.postMessage({ type: 'epoch', epoch: ingestEpoch, topics: topicStore, stats, })
+}
+
+/** Starts a new ingest epoch after the topic store has been replaced (e.g. emptied)
+ * Batches still on their way from the ingest worker are for the old data and are ignored. The worker
+ * is sent a copy of the store to carry on from.
+ */
+function startIngestEpoch() {
+    ingestEpoch++
+    unacknowledgedMsgs.length = 0
+    ingestWorker?.postMessage({ type: 'epoch', epoch: ingestEpoch, topics: topicStore, stats, })
 }
 
-// Listen for incoming messages from Node-RED and action
-uibuilder.onChange('msg', (msg) => {
+/** Brings the topic store in line with the ingest worker's, using a batch of changes from the worker
+ * @param {object} batch - The changes, see ingest-worker.mjs
+ */
+function applyIngestBatch(batch) {
+    unacknowledgedMsgs.splice(0, batch.ingested)
+
+    for (const topicPath of batch.removed) {
+        // Normally already removed here, unless an earlier batch brought it back
+        const removedPath = removeTopic(topicPath.split('/'))
+        if (removedPath) {
+            removeRenderedTopic(removedPath)
+            persistRemovedTopic(removedPath)
+        }
+    }
+
+    for (const { topic, messages, kept, received, activity, } of batch.topics) {
+        const node = getOrCreateTopicNode(topic.split('/'))
+
+        // The worker leaves out decoded values that are the same as the payload
+        for (const msg of messages) {
+            if (!('parsed' in msg)) msg.parsed = msg.payload
+        }
+        node.messages = messages.concat(node.messages.slice(0, kept))
+
+        if (received > node.received) changedTopics.add(topic)
+        node.received = received
+        node.activity = activity
+        pendingTopicUpdates.add(topic)
+    }
+
+    for (const [topicPath, subtree] of batch.subtrees) {
+        const node = getTopicNode(topicPath.split('/'))
+        if (node) node.subtree = subtree
+    }
+    Object.assign(stats, batch.stats)
+
+    scheduleRender()
+}
+
+/** Processes an incoming message - used for both live and replayed messages
+ * @param {object} msg - Node-RED message object
+ */
+function handleIncomingMsg(msg) {
     if (!msg.topic) {
         console.warn('Received message without topic:', msg)
         return
     }
 
+    // Ignore the echo of a retained message we have just cleared
+    if (pendingRetainedClears.has(msg.topic) && isEmptyPayload(msg.payload)) {
+        pendingRetainedClears.delete(msg.topic)
+        return
+    }
+
+    // Parsing and storing happen in the ingest worker if there is one, it sends batches back
+    if (ingestWorker) {
+        unacknowledgedMsgs.push(msg)
+        ingestWorker.postMessage({
+            type: 'msg',
+            topic: msg.topic,
+            message: msg.payload === undefined ? undefined : toStoredMessage(msg),
+        })
+        return
+    }
+
     // Store the message in our data structure
     storeMessage(msg)
 
     // Mark this topic as needing update
     pendingTopicUpdates.add(msg.topic)
+    if (msg.payload !== undefined) changedTopics.add(msg.topic)
 
     // Schedule a debounced render
     scheduleRender()
-})
+}
+
+/** Handles a live message from the active transport
+ * @param {object} msg - Node-RED style message object
+ */
+function receiveLiveMsg(msg) {
+    // Live messages would mix with the capture being replayed
+    if (replay.active) return
+
+    handleIncomingMsg(msg)
+}
+
+// Restore the saved settings
+loadSettings()
+showSettings()
+loadPublishPresets()
+
+// Take message parsing and batching off the UI thread where possible
+startIngestWorker()
+
+// Start receiving messages using the saved broker profile (Node-RED via uibuilder by default)
+// Any saved session is restored first so that live messages are added to it
+loadProfiles()
+await restoreSession()
+activateProfile(getActiveProfile())
+loadWatchList()
+
+// Open the topic linked to by the URL hash, and follow later changes to it (tracked by uibuilder)
+applyUrlHash(location.hash)
+uibuilder.onChange('urlHash', applyUrlHash)
 
 // #endregion
@@ -0,0 +1,262 @@
+// @ts-nocheck
+// Web Worker that takes message ingestion and storage off the UI thread.
+// Incoming messages have their payloads decoded here and are added to the worker's topic store
+// (see topic-store.mjs), which also keeps the per topic and subtree statistics. Every INGEST_BATCH_MS
+// the UI thread is sent the changes since the last batch, which it applies to its own copy of the store.
+// Only the new messages that are still in a topic's history are sent - at high message rates the rest
+// have already been trimmed.
+//
+// Messages to the worker:
+//   {type: 'msg', topic, message}          - an incoming message, converted with `toStoredMessage()`. `message` is undefined if the msg had no payload
+//   {type: 'settings', settings, redecode} - the runtime settings, for the per topic history limits, decoders and content types.
+//                                            Histories over their new limit are trimmed, `redecode` decodes the stored messages again
+//   {type: 'clear', topic}                 - the UI has cleared a topic's history
+//   {type: 'remove', topic}                - the UI has removed a topic and its subtree
+//   {type: 'epoch', epoch, topics, stats}  - the UI has replaced its data (e.g. emptied it), drop anything not yet sent
+//                                            and carry on from a copy of the UI's store
+// Messages from the worker:
+//   {type: 'batch', epoch, ingested, removed, topics, subtrees, stats}
+//       ingested - the number of msgs stored since the last batch
+//       removed  - paths of the topics removed since the last batch
+//       topics   - [{topic, messages, kept, received, activity}] for each topic that has changed. Its history is now `messages`
+//                  (newest first) followed by the first `kept` of the messages it had before. `parsed` is left out of
+//                  messages whose decoded value is the payload itself
+//       subtrees - [[topic, subtree]] the subtree totals of the changed topics and their ancestors
+//       stats    - the totals of the topics and messages in the store
+
+import { decodeStoredMessage, resolveTopicSettings } from './ingest.mjs'
+import {
+    clearTopicHistory, getTopicNode, loadTopicStore, removeTopic, stats, storeTopicMessage, topicStore,
+    trimTopicHistory, updateSubtreeStats, walkTopicStore
+} from './topic-store.mjs'
+
+/** How often batches are sent to the UI thread (ms)
+ * @type {number}
+ */
+const INGEST_BATCH_MS = 50
+
+/** Runtime settings received from the UI thread
+ * @type {object|null}
+ */
+let settings = null
+
+/** Resolved per topic settings, cleared whenever the settings change
+ * @type {Map<string, object>}
+ */
+const topicSettingsCache = new Map()
+
+/** Epoch of the UI thread's data that the store is in line with
+ * @type {number}
+ */
+let epoch = 0
+
+/** Number of msgs stored since the last batch
+ * @type {number}
+ */
+let ingested = 0
+
+/** Changes to each topic since the last batch
+ * `added` counts the new messages at the start of the topic's history. `reset` means that none of the
+ * UI's copy of the history is kept, e.g. after the history was cleared.
+ * @type {Map<string, {added: number, reset: boolean}>}
+ */
+const changedTopics = new Map()
+
+/** Paths of the topics removed since the last batch
+ * @type {Set<string>}
+ */
+const removedTopics = new Set()
+
+/** Pending batch timeout ID
+ * @type {number|null}
+ */
+let batchTimeout = null
+
+/** Gets the settings that apply to a topic
+ * @param {string} topic - Full topic path
+ * @returns {object|null} The resolved settings, null until the UI thread has sent them
+ */
+function getTopicSettings(topic) {
+    if (!settings) return null
+
+    let topicSettings = topicSettingsCache.get(topic)
+    if (!topicSettings) {
+        topicSettings = resolveTopicSettings(settings, topic)
+        topicSettingsCache.set(topic, topicSettings)
+    }
+    return topicSettings
+}
+
+/** Decodes a message's payload using the topic's decoder and content type settings
+ * @param {string} topic - Full topic path
+ * @param {object} message - The stored message
+ */
+function decodeMessage(topic, message) {
+    const topicSettings = getTopicSettings(topic)
+    decodeStoredMessage(message, topicSettings?.payloadDecoder, topicSettings?.contentType)
+    // Don't send the same text twice - the UI thread restores it from the payload
+    if (message.parsed === message.payload) delete message.parsed
+}
+
+/** Adds the subtree totals of a topic and its ancestors to a batch
+ * @param {string} topic - Full topic path, the topic itself may have been removed
+ * @param {Map<string, object>} subtrees - Subtree totals by topic path
+ */
+function collectSubtrees(topic, subtrees) {
+    let nodes = topicStore
+    let topicPath = ''
+
+    for (const part of topic.split('/')) {
+        const node = nodes.get(part)
+        if (!node) return
+
+        topicPath = topicPath ? `${topicPath}/${part}` : part
+        subtrees.set(topicPath, node.subtree)
+        nodes = node.children
+    }
+}
+
+/** Sends the changes since the last batch to the UI thread */
+function sendBatch() {
+    batchTimeout = null
+    if (changedTopics.size === 0 && removedTopics.size === 0) return
+
+    const topics = []
+    const subtrees = new Map()
+    for (const [topic, change] of changedTopics) {
+        const node = getTopicNode(topic.split('/'))
+        const messages = node.messages.slice(0, change.added)
+        topics.push({
+            topic,
+            messages,
+            kept: change.reset ? 0 : node.messages.length - messages.length,
+            received: node.received,
+            activity: node.activity,
+        })
+        collectSubtrees(topic, subtrees)
+    }
+    for (const topic of removedTopics) collectSubtrees(topic, subtrees)
+
+    self.postMessage({
+        type: 'batch',
+        epoch,
+        ingested,
+        removed: [...removedTopics],
+        topics,
+        subtrees: [...subtrees],
+        stats,
+    })
+    ingested = 0
+    changedTopics.clear()
+    removedTopics.clear()
+}
+
+/** Schedules the next batch, if it isn't already */
+function scheduleBatch() {
+    if (!batchTimeout) batchTimeout = setTimeout(sendBatch, INGEST_BATCH_MS)
+}
+
+/** Records that a topic has changed, to be sent with the next batch
+ * @param {string} topic - Full topic path
+ * @returns {{added: number, reset: boolean}} The topic's changes since the last batch
+ */
+function markTopicChanged(topic) {
+    let change = changedTopics.get(topic)
+    if (!change) {
+        change = { added: 0, reset: false, }
+        changedTopics.set(topic, change)
+    }
+
+    scheduleBatch()
+    return change
+}
+
+/** Stores an incoming message
+ * @param {string} topic - Full topic path
+ * @param {object} message - The message to store, `undefined` if the msg had no payload
+ */
+function ingestMessage(topic, message) {
+    if (message) decodeMessage(topic, message)
+    storeTopicMessage(topic, message, getTopicSettings(topic)?.maxHistoryPerTopic ?? Infinity)
+
+    const change = markTopicChanged(topic)
+    if (message) change.added++
+    ingested++
+}
+
+/** Applies new settings to the store, trimming any histories that are now over their limit
+ * @param {boolean} redecode - Whether to decode the stored messages again, for changed payload decoders
+ */
+function applySettings(redecode) {
+    walkTopicStore((topic, node) => {
+        const dropped = trimTopicHistory(node, getTopicSettings(topic).maxHistoryPerTopic)
+        if (dropped > 0) {
+            updateSubtreeStats(topic.split('/'), -dropped)
+            markTopicChanged(topic)
+        }
+
+        if (redecode && node.messages.length > 0) {
+            for (const message of node.messages) decodeMessage(topic, message)
+            Object.assign(markTopicChanged(topic), { added: node.messages.length, reset: true, })
+        }
+    })
+}
+
+/** Removes a topic and its subtree from the store
+ * @param {string} topic - Full topic path
+ */
+function removeStoredTopic(topic) {
+    const removedPath = removeTopic(topic.split('/'))
+    if (!removedPath) return
+
+    // Changes to the removed topics no longer need sending
+    for (const changedPath of changedTopics.keys()) {
+        if (changedPath === removedPath || changedPath.startsWith(`${removedPath}/`)) changedTopics.delete(changedPath)
+    }
+    removedTopics.add(removedPath)
+    scheduleBatch()
+}
+
+self.addEventListener('message', (event) => {
+    const data = event.data
+
+    switch (data.type) {
+        case 'msg': {
+            ingestMessage(data.topic, data.message)
+            break
+        }
+
+        case 'settings': {
+            settings = data.settings
+            topicSettingsCache.clear()
+            applySettings(data.redecode)
+            break
+        }
+
+        case 'clear': {
+            if (clearTopicHistory(data.topic.split('/'))) {
+                Object.assign(markTopicChanged(data.topic), { added: 0, reset: true, })
+            }
+            break
+        }
+
+        case 'remove': {
+            removeStoredTopic(data.topic)
+            break
+        }
+
+        case 'epoch': {
+            epoch = data.epoch
+            loadTopicStore(data.topics, data.stats)
+            ingested = 0
+            changedTopics.clear()
+            removedTopics.clear()
+            break
+        }
+
+        default: {
+            console.warn('[mqtt-explorer] Unknown ingest worker message type:', data.type)
+            break
+        }
+    }
+})
@@ -0,0 +1,179 @@
+// @ts-nocheck
+// Message ingestion functions shared by the UI (index.mjs) and the ingest worker (ingest-worker.mjs)
+// Must not use the DOM or uibuilder so that it can run in a Web Worker.
+
+import { decodePayload } from './decoders.mjs'
+
+/** Decodes a stored message's payload for display
+ * Sets `parsed` to the decoded value, `decoder` to the decoder used and `decodeError` if the
+ * chosen decoder could not be used.
+ * @param {object} message - The stored message (see `TopicMessage` in index.mjs)
+ * @param {string} [decoder] - Payload decoder for the topic, see `PAYLOAD_DECODERS`
+ * @param {string} [contentType] - Content type for the topic, used if the message does not have one
+ */
+export function decodeStoredMessage(message, decoder = 'auto', contentType = '') {
+    const decoded = decodePayload(message.payload, decoder, message.contentType || contentType)
+    message.parsed = decoded.value
+    message.decoder = decoded.decoder
+    if (decoded.error) {
+        message.decodeError = decoded.error
+    } else {
+        delete message.decodeError
+    }
+}
+
+/** Tests a topic against an MQTT subscription filter
+ * Supports the `+` (single level) and `#` (multi-level) wildcards. As per the MQTT spec,
+ * wildcards at the first level do not match topics starting with `$`.
+ * @param {string} filter - MQTT topic filter, e.g. `home/+/battery` or `plant/#`
+ * @param {string} topic - Topic to test
+ * @returns {boolean} True if the topic matches the filter
+ */
+export function mqttTopicMatches(filter, topic) {
+    const filterParts = filter.split('/')
+    const topicParts = topic.split('/')
+
+    if (topic.startsWith('$') && (filterParts[0] === '+' || filterParts[0] === '#')) return false
+
+    for (let i = 0; i < filterParts.length; i++) {
+        const part = filterParts[i]
+        if (part === '#') return true
+        if (i >= topicParts.length) return false
+        if (part !== '+' && part !== topicParts[i]) return false
+    }
+
+    return filterParts.length === topicParts.length
+}
+
+/** Works out the settings that apply to a topic, taking any per topic override into account
+ * @param {object} settings - The runtime settings (see `Settings` in index.mjs)
+ * @param {string} topicPath - Full topic path
+ * @returns {object} The settings with any matching overrides applied
+ */
+export function resolveTopicSettings(settings, topicPath) {
+    const resolved = { ...settings, }
+
+    // Walk backwards so that earlier overrides win
+    for (let i = settings.overrides.length - 1; i >= 0; i--) {
+        const { filter, ...values } = settings.overrides[i]
+        if (mqttTopicMatches(filter, topicPath)) Object.assign(resolved, values)
+    }
+
+    return resolved
+}
+
+/** Converts an incoming msg into the message kept in a topic's history
+ * Only the properties we need are kept, not the entire msg object.
+ * This prevents holding references to potentially large/circular objects.
+ * @param {object} msg - Node-RED message object
+ * @returns {object} The message to store (see `TopicMessage` in index.mjs), without the decoded payload
+ */
+export function toStoredMessage(msg) {
+    return {
+        payload: msg.payload,
+        timestamp: msg.lastUpdate || new Date().toISOString(),
+        qos: msg.qos ?? 0,
+        retain: msg.retain ?? false,
+        // MQTT v5 properties
+        correlationData: msg.correlationData,
+        userProperties: msg.userProperties,
+        messageExpiryInterval: msg.messageExpiryInterval,
+        responseTopic: msg.responseTopic,
+        contentType: msg.contentType,
+    }
+}
+
+/** Width of each bucket used to count the message rate (ms)
+ * @type {number}
+ */
+const RATE_BUCKET_MS = 10000
+
+/** Number of rate buckets - together they cover the last minute
+ * @type {number}
+ */
+const RATE_BUCKETS = 6
+
+/** Creates empty arrival statistics for a topic
+ * Kept separately from the message history so they are not affected by the history limit.
+ * @returns {object} The statistics (see `TopicActivity` in index.mjs)
+ */
+export function createTopicActivity() {
+    return {
+        firstTime: null,
+        lastTime: null,
+        // Inter-arrival times, using Welford's algorithm for the variance
+        gapCount: 0,
+        gapMean: 0,
+        gapM2: 0,
+        gapMin: Infinity,
+        gapMax: 0,
+        // Messages per bucket, newest bucket last
+        rateBuckets: new Array(RATE_BUCKETS).fill(0),
+        rateBucketStart: 0,
+    }
+}
+
+/** Adds one inter-arrival time to a topic's statistics
+ * @param {object} activity - The topic's arrival statistics
+ * @param {number} gap - Time since the previous message (ms)
+ */
+function recordGap(activity, gap) {
+    if (gap < 0) return
+
+    activity.gapCount++
+    const delta = gap - activity.gapMean
+    activity.gapMean += delta / activity.gapCount
+    activity.gapM2 += delta * (gap - activity.gapMean)
+    activity.gapMin = Math.min(activity.gapMin, gap)
+    activity.gapMax = Math.max(activity.gapMax, gap)
+}
+
+/** Records the arrival of a message in a topic's statistics
+ * @param {object} activity - The topic's arrival statistics
+ * @param {number} time - Arrival time (ms since the epoch)
+ */
+export function recordArrival(activity, time) {
+    if (activity.lastTime !== null) recordGap(activity, time - activity.lastTime)
+    activity.firstTime ??= time
+    activity.lastTime = Math.max(activity.lastTime ?? time, time)
+}
+
+/** Moves the rate buckets on to a time, emptying buckets that have passed
+ * @param {object} activity - The topic's arrival statistics
+ * @param {number} time - The time (ms since the epoch)
+ */
+function advanceRateBuckets(activity, time) {
+    const elapsed = Math.floor((time - activity.rateBucketStart) / RATE_BUCKET_MS)
+    if (elapsed <= 0) return
+
+    if (elapsed >= RATE_BUCKETS) {
+        activity.rateBuckets.fill(0)
+    } else {
+        activity.rateBuckets.splice(0, elapsed)
+        for (let i = 0; i < elapsed; i++) activity.rateBuckets.push(0)
+    }
+    activity.rateBucketStart = time - (time % RATE_BUCKET_MS)
+}
+
+/** Counts messages towards a topic's message rate
+ * @param {object} activity - The topic's arrival statistics
+ * @param {number} time - Arrival time of the messages (ms since the epoch)
+ * @param {number} count - Number of messages
+ */
+export function countTowardsRate(activity, time, count) {
+    advanceRateBuckets(activity, time)
+
+    // Older arrivals (e.g. from a replayed capture) go in the bucket they belong to, if it is still counted
+    const bucket = RATE_BUCKETS - 1 + Math.floor((time - activity.rateBucketStart) / RATE_BUCKET_MS)
+    if (bucket >= 0 && bucket < RATE_BUCKETS) activity.rateBuckets[bucket] += count
+}
+
+/** Gets a topic's message rate
+ * @param {object} activity - The topic's arrival statistics
+ * @param {number} now - The current time (ms since the epoch)
+ * @returns {number} Messages received in the last minute
+ */
+export function getMessageRate(activity, now) {
+    advanceRateBuckets(activity, now)
+    return activity.rateBuckets.reduce((total, count) => total + count, 0)
+}
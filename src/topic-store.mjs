@@ -0,0 +1,327 @@
+// @ts-nocheck
+// The topic store, shared by the UI (index.mjs) and the ingest worker (ingest-worker.mjs)
+// Each of them has its own copy. When the ingest worker is running, messages are stored in the worker's
+// copy and the UI's copy is kept in line with it by the batches the worker sends.
+// Must not use the DOM or uibuilder so that it can run in a Web Worker.
+
+import { countTowardsRate, createTopicActivity, recordArrival } from './ingest.mjs'
+
+/** Topic data store - tree structure mirroring MQTT hierarchy (see `TopicNode` in index.mjs)
+ * @type {Map<string, object>}
+ */
+export const topicStore = new Map()
+
+/** Statistics for the topic store - totals of the topics and messages currently held
+ * @type {{totalTopics: number, totalMessages: number}}
+ */
+export const stats = {
+    totalTopics: 0,
+    totalMessages: 0,
+}
+
+/** Collator giving the same order as `localeCompare` but faster for repeated comparisons
+ * @type {Intl.Collator}
+ */
+export const topicNameCollator = new Intl.Collator()
+
+/** Sorted topic names for each level of the store.
+ * Built when a level is first displayed and then kept sorted as topics are added and removed.
+ * @type {WeakMap<Map<string, object>, string[]>}
+ */
+const sortedTopicNames = new WeakMap()
+
+/** Creates or retrieves a topic node in the store
+ * @param {string[]} topicParts - Split topic path
+ * @returns {object} The leaf node for this topic
+ */
+export function getOrCreateTopicNode(topicParts) {
+    let currentLevel = topicStore
+    let node = null
+    const ancestors = []
+
+    for (let i = 0; i < topicParts.length; i++) {
+        const part = topicParts[i]
+
+        if (!currentLevel.has(part)) {
+            const newNode = {
+                name: part,
+                children: new Map(),
+                messages: [],
+                received: 0,
+                activity: createTopicActivity(),
+                subtree: createSubtreeStats(),
+            }
+            currentLevel.set(part, newNode)
+            addSortedTopicName(currentLevel, part)
+            stats.totalTopics++
+            for (const ancestor of ancestors) ancestor.subtree.topics++
+        }
+
+        node = currentLevel.get(part)
+        ancestors.push(node)
+        currentLevel = node.children
+    }
+
+    return node
+}
+
+/** Creates empty subtree totals for a new topic node
+ * @returns {object} The totals (see `SubtreeStats` in index.mjs)
+ */
+function createSubtreeStats() {
+    const { rateBuckets, rateBucketStart, } = createTopicActivity()
+    return {
+        topics: 0,
+        messages: 0,
+        lastTime: null,
+        rateBuckets,
+        rateBucketStart,
+    }
+}
+
+/** Updates the subtree totals of a topic and all of its ancestors
+ * @param {string[]} topicParts - Split topic path
+ * @param {number} messages - Change in the number of messages held by the topic
+ * @param {number} [arrivals] - Number of messages received, counted towards the message rate
+ * @param {number|null} [lastTime] - When the latest of the messages arrived (ms since the epoch)
+ */
+export function updateSubtreeStats(topicParts, messages, arrivals = 0, lastTime = null) {
+    let currentLevel = topicStore
+
+    for (const part of topicParts) {
+        const node = currentLevel.get(part)
+        if (!node) return
+
+        const { subtree, } = node
+        subtree.messages += messages
+        if (lastTime !== null) {
+            subtree.lastTime = Math.max(subtree.lastTime ?? lastTime, lastTime)
+            if (arrivals > 0) countTowardsRate(subtree, lastTime, arrivals)
+        }
+
+        currentLevel = node.children
+    }
+}
+
+/** Retrieves a topic node from the store
+ * @param {string[]} topicParts - Split topic path
+ * @returns {object|null} The node or null if not found
+ */
+export function getTopicNode(topicParts) {
+    let currentLevel = topicStore
+
+    for (let i = 0; i < topicParts.length; i++) {
+        const part = topicParts[i]
+
+        if (!currentLevel.has(part)) {
+            return null
+        }
+
+        const node = currentLevel.get(part)
+        if (i === topicParts.length - 1) {
+            return node
+        }
+        currentLevel = node.children
+    }
+
+    return null
+}
+
+/** Finds the position of a name in a sorted list of topic names using a binary search
+ * @param {string[]} names - Sorted topic names
+ * @param {string} name - The name to look for
+ * @returns {number} Index of the name, or of where it would be inserted
+ */
+export function findSortedTopicName(names, name) {
+    let low = 0
+    let high = names.length
+
+    while (low < high) {
+        const mid = (low + high) >>> 1
+        if (topicNameCollator.compare(names[mid], name) < 0) {
+            low = mid + 1
+        } else {
+            high = mid
+        }
+    }
+
+    return low
+}
+
+/** Gets the names of a level of the store in display order
+ * @param {Map<string, object>} nodes - The level
+ * @returns {string[]} Sorted topic names (do not modify)
+ */
+export function getSortedTopicNames(nodes) {
+    let names = sortedTopicNames.get(nodes)
+    if (!names) {
+        names = [...nodes.keys()].sort(topicNameCollator.compare)
+        sortedTopicNames.set(nodes, names)
+    }
+    return names
+}
+
+/** Adds a new topic to a level's sorted names, if they have been built
+ * @param {Map<string, object>} nodes - The level
+ * @param {string} name - The new topic name
+ */
+function addSortedTopicName(nodes, name) {
+    const names = sortedTopicNames.get(nodes)
+    if (names) names.splice(findSortedTopicName(names, name), 0, name)
+}
+
+/** Removes a topic from a level's sorted names, if they have been built
+ * @param {Map<string, object>} nodes - The level
+ * @param {string} name - The removed topic name
+ */
+function removeSortedTopicName(nodes, name) {
+    const names = sortedTopicNames.get(nodes)
+    if (!names) return
+    const index = findSortedTopicName(names, name)
+    if (names[index] === name) names.splice(index, 1)
+}
+
+/** Walks every node in the topic store (depth-first), including branches that are not rendered
+ * @param {function(string, object): void} callback - Called with the full topic path and node
+ * @param {Map<string, object>} [nodes] - Level to walk, defaults to the root of the store
+ * @param {string} [pathPrefix] - Topic path of the level being walked
+ */
+export function walkTopicStore(callback, nodes = topicStore, pathPrefix = '') {
+    for (const [name, node] of nodes) {
+        const fullPath = pathPrefix ? `${pathPrefix}/${name}` : name
+        callback(fullPath, node)
+        if (node.children.size > 0) {
+            walkTopicStore(callback, node.children, fullPath)
+        }
+    }
+}
+
+/** Adds a message to the topic store
+ * @param {string} topic - Full topic path
+ * @param {object|undefined} message - The decoded message (see `TopicMessage` in index.mjs), `undefined` only creates the topic
+ * @param {number} maxHistory - Maximum messages to keep for the topic
+ * @returns {object} The topic node that was updated
+ */
+export function storeTopicMessage(topic, message, maxHistory) {
+    const topicParts = topic.split('/')
+    const node = getOrCreateTopicNode(topicParts)
+
+    if (message !== undefined) {
+        node.messages.unshift(message)
+        node.received++
+        stats.totalMessages++
+
+        const arrivalTime = Date.parse(message.timestamp)
+        recordArrival(node.activity, arrivalTime)
+        countTowardsRate(node.activity, arrivalTime, 1)
+
+        // Limit history per topic
+        const dropped = trimTopicHistory(node, maxHistory)
+        updateSubtreeStats(topicParts, 1 - dropped, 1, arrivalTime)
+    }
+
+    return node
+}
+
+/** Trims a topic's message history to a maximum length, dropping the oldest messages
+ * The caller must update the subtree totals with the number dropped.
+ * @param {object} node - The topic node
+ * @param {number} maxHistory - Maximum messages to keep
+ * @returns {number} The number of messages dropped
+ */
+export function trimTopicHistory(node, maxHistory) {
+    const dropped = Math.max(node.messages.length - maxHistory, 0)
+    if (dropped > 0) {
+        node.messages.length = maxHistory
+        stats.totalMessages -= dropped
+    }
+    return dropped
+}
+
+/** Clears the message history of a topic, leaving the topic and its sub-topics in place
+ * @param {string[]} topicParts - Split topic path
+ * @returns {object|null} The cleared node or null if not found
+ */
+export function clearTopicHistory(topicParts) {
+    const node = getTopicNode(topicParts)
+    if (!node) return null
+
+    stats.totalMessages -= node.messages.length
+    updateSubtreeStats(topicParts, -node.messages.length)
+    node.messages = []
+
+    return node
+}
+
+/** Removes a topic and its whole subtree from the store
+ * Ancestors that are left with no messages and no other sub-topics are removed too,
+ * they only existed to hold the removed topic.
+ * @param {string[]} topicParts - Split topic path
+ * @returns {string|null} Path of the top-most topic removed or null if not found
+ */
+export function removeTopic(topicParts) {
+    // Collect the chain of levels down to the topic
+    const levels = [topicStore]
+    for (let i = 0; i < topicParts.length - 1; i++) {
+        const node = levels[i].get(topicParts[i])
+        if (!node) return null
+        levels.push(node.children)
+    }
+
+    const node = levels[topicParts.length - 1].get(topicParts[topicParts.length - 1])
+    if (!node) return null
+
+    // Keep the stats in line with what is left in the store
+    stats.totalTopics--
+    stats.totalMessages -= node.messages.length
+    walkTopicStore((topicPath, child) => {
+        stats.totalTopics--
+        stats.totalMessages -= child.messages.length
+    }, node.children)
+
+    let depth = topicParts.length - 1
+    levels[depth].delete(topicParts[depth])
+    removeSortedTopicName(levels[depth], topicParts[depth])
+
+    // Prune ancestors that are now empty
+    let removedTopics = node.subtree.topics + 1
+    while (depth > 0) {
+        const parent = levels[depth - 1].get(topicParts[depth - 1])
+        if (parent.children.size > 0 || parent.messages.length > 0) break
+        levels[depth - 1].delete(topicParts[depth - 1])
+        removeSortedTopicName(levels[depth - 1], topicParts[depth - 1])
+        stats.totalTopics--
+        removedTopics++
+        depth--
+    }
+
+    // The remaining ancestors no longer hold the removed topics. Their message rates still include the
+    // removed topics' recent messages until those drop out of the last minute.
+    for (let i = 0; i < depth; i++) {
+        const { subtree, } = levels[i].get(topicParts[i])
+        subtree.topics -= removedTopics
+        subtree.messages -= node.subtree.messages
+    }
+
+    return topicParts.slice(0, depth + 1).join('/')
+}
+
+/** Removes everything from the topic store */
+export function clearTopicStore() {
+    topicStore.clear()
+    sortedTopicNames.delete(topicStore)
+    stats.totalTopics = 0
+    stats.totalMessages = 0
+}
+
+/** Replaces everything in the topic store, e.g. with a copy of another store
+ * @param {Map<string, object>} topics - The top level topic nodes
+ * @param {{totalTopics: number, totalMessages: number}} totals - Statistics for the topics
+ */
+export function loadTopicStore(topics, totals) {
+    clearTopicStore()
+    for (const [name, node] of topics) {
+        topicStore.set(name, node)
+    }
+    Object.assign(stats, totals)
+}